@@ -5,36 +5,208 @@
  * - Single-file vanilla JS driving a canvas-based Matrix rain plus DOM-rendered
  *   animated profile capsules. No dependencies.
  * - Key configs are exposed on the `CONFIG` object and bound to UI controls.
- * - Generators are light-weight arrays with weighted picks; tweak them in
- *   `ProfileFactory` below.
+ * - Records come from a declarative JSON schema (`DEFAULT_SCHEMA` below):
+ *   weighted enums, numeric ranges/distributions and derived fields. Edit or
+ *   load one from the panel to stream telemetry, transactions, etc.
  *
  * Controls
  * - Density: scales number of columns and per-column glyph density.
  * - Speed: scales baseline drip speed across columns.
+ * - Depth: 1-4 parallax layers; deeper layers have smaller, slower, dimmer
+ *   glyphs and are drawn first.
+ * - Wind: sideways drift (left or right); streams lean with it and wrap
+ *   around the edges, each column at its own share of the wind.
+ * - Pointer: the cursor (or a touch) parts the streams, repels the glyphs
+ *   around it, or lights them up.
  * - Capsule Rate: scales spawn frequency for profile capsules.
  * - Glow: intensifies neon blur. Also affected by CSS variable `--glow`.
- * - Show Code/Hex: toggles code-noise in rain and availability of hex capsules.
- * - Screenshot: combines canvas + visible capsules into a PNG download.
- * - Theme: Green (default), Cyan, Magenta.
- * - FPS: tiny meter top-left.
+ * - Show Code: toggles code-noise in the rain.
+ * - Render modes: enable and weight each capsule format (JSON, inline, hex,
+ *   YAML, CSV row, table, base64, TLV hexdump). Modes live in `RenderModes`.
+ * - Redaction: field rules applied before any render mode (drop, mask,
+ *   partial `A** K**`, keyed hash, numeric buckets, city -> country), also
+ *   on nested fields. Presets Demo-safe and Internal, or Custom rules (one
+ *   `field: action` per line). A REDACTED badge shows while rules are active.
+ *   Analytics charts and session logs get the redacted values (charts start
+ *   over when the rules change); alert rules match the raw records.
+ * - Screenshot: canvas at devicePixelRatio resolution + visible capsules
+ *   (box, header, wrapped text, glow, opacity) as a PNG download.
+ * - Poster export: the current frame at any size (e.g. 7680x4320), with the
+ *   rain and capsules re-rendered at that scale rather than upscaled, as PNG
+ *   or as SVG with every glyph and capsule line as text.
+ * - Log session: logs every capsule shown (time, mode, position, typing
+ *   speed, hold, record); export as NDJSON or CSV. Loading either as Replay
+ *   re-drives the capsules with the original timing and positions, with
+ *   play/pause, speed and a scrub slider.
+ * - Record/Stop: same composite captured to a WebM download (MediaRecorder);
+ *   size, frame rate and max duration are configurable.
+ * - Theme: Green (default), Cyan, Magenta, or custom themes from "Edit
+ *   theme": separate colours for background, rain body, rain head, glow,
+ *   capsule text, capsule border and code noise; background and body can be
+ *   vertical gradients, and hue jitter gives each column its own hue. Edits
+ *   preview live; Save stores the theme (localStorage), Export/Import as JSON.
+ *   Screenshots, posters and recordings use the same colours.
+ * - Glyphs: pack (classic, binary, hex, katakana, Greek/math, emoji or a typed
+ *   string), font family and glyph size; the atlas is rebuilt on change.
+ * - Reveal: the rain resolves into a message (one per line; `{name}` or any
+ *   `{field}` fills from the newest capsule) or an uploaded monochrome logo:
+ *   falling seekers lock glyphs into place, hold, then dissolve back into
+ *   rain, optionally cycling through the list. `?msg=WAKE UP|NEO` starts it.
+ * - FPS: tiny meter top-left. Target FPS (30/45/60) turns on a governor that
+ *   scales density, glow and capsule rate down when the frame rate falls
+ *   short and back up once it recovers. A hidden tab stops the loop and
+ *   freezes capsule timers until it is visible again.
+ * - Motion: Auto follows prefers-reduced-motion; Reduced drops flicker,
+ *   dissolve jitter, flashes and code noise and slows the rain to 1/4; Still
+ *   freezes it. Capsules are aria-hidden; a one-line summary of each record
+ *   is announced once it finishes typing (throttled; toggle "Announce").
+ * - Keys: Space/P pause, S screenshot, T next theme, I pin + inspect the
+ *   newest capsule, Esc close side panels. All panel controls are native
+ *   form elements, so Tab/arrows operate the whole panel.
+ * - Presets: every setting persists to localStorage and the URL hash (only
+ *   non-default values), so a reload or a shared link restores the panel.
+ *   Built-ins (Default, Calm, Overload, Kiosk) plus saved presets that can be
+ *   renamed, deleted and imported/exported as JSON. "Copy link" includes the
+ *   seed. Out-of-range values are clamped to each control's min/max.
+ * - Layout: capsules never overlap each other or the panels. Strategies:
+ *   random, vertical lanes, grid, or under a rain column's head. Capsules
+ *   that end up off-screen or colliding after a resize are re-placed.
+ * - Returning entities (same `id`, any source) show what changed since last
+ *   seen and a sparkline of their actual risk_score history.
+ * - Capsules: hover pauses the hold timer; click pins (never dissolves, not
+ *   counted in maxCapsules) and opens the inspector (tree view, copy JSON,
+ *   json/inline/hex switch, unpin). Pinned capsules can be dragged.
+ * - Renderer: Auto (WebGL2 if available, software included; else Canvas 2D),
+ *   or forced via the select / `?renderer=webgl|2d|worker`. Worker draws on
+ *   an OffscreenCanvas in a Worker thread (Auto where unsupported). Bench
+ *   runs WebGL and 2D at a fixed column count and reports draw/frame times
+ *   (`?bench=400` autostarts).
+ * - Source: synthetic profiles (default), a simulated population whose
+ *   emotional_state/activity/risk_score drift between sightings, a WebSocket
+ *   or EventSource URL pushing JSON/NDJSON records, or a local NDJSON/JSON
+ *   file replayed at a set rate. Overflow is buffered (backlog shown in the
+ *   panel); malformed records are counted in the source status line.
+ *   `node tools/stream-server.js` is a local stand-in.
+ * - Schema: editor for the record schema with presets and validation errors.
+ * - Analytics: aggregates every delivered record from any source: exact
+ *   streaming histograms for numeric fields (default risk_score, income_usd),
+ *   counts for categorical ones (default industry, emotional_state),
+ *   throughput over the last minute, and alert rules, one per line, like
+ *   `risk_score > 80 and emotional_state = burnout` (ops > >= < <= = != ~;
+ *   values may be quoted, e.g. `title ~ "salt and pepper"`).
+ *   Matching capsules flash; per-rule counters show in the panel.
+ * - Sequencer: a looping JSON timeline of scenes for unattended kiosks. Each
+ *   scene eases any CONFIG field (speed, density, glow, capsule rate, ...)
+ *   over its transition, switches theme/render modes, and fires events
+ *   (capsule burst, theme flash, reveal message). The editor shows the
+ *   scenes as a strip (click to preview), appends "+ Scene" from the current
+ *   settings, and loads/exports JSON. Moving a slider overrides that field
+ *   for 8s, then the sequence eases it back. `?sequence` plays the saved
+ *   timeline, `?sequence=<url>` fetches one.
+ * - Seed: reseeds every random stream; same seed => same rain and profiles.
+ *   Also read from `?seed=` (a random seed is picked and shown otherwise).
+ *
+ * Embedding
+ * - `<matrix-stream>`: each element runs its own rain, capsules, config and
+ *   source in a shadow root; any number can share a page (see embed.html).
+ *   Attributes: density, speed, depth, wind, pointer, capsule-rate, glow,
+ *   max-capsules, theme (built-in or saved custom name), glyphs, layout,
+ *   motion, show-code, renderer, target-fps, redaction, paused, and data-src
+ *   ("sim", "none", or a ws(s)/EventSource URL). JS: start(), stop(),
+ *   pushRecord(record), setConfig(partial); events capsule-spawn and
+ *   capsule-typed. Without a #rain canvas the page app itself stays off.
  *
  * Structure
+ * - Prng / RNG streams (seedable; rain, profiles and fx draw separately)
+ * - Themes (built-ins + saved custom themes, palette for the renderers)
  * - initCanvas()/resizeCanvas()
- * - MatrixRain class (offscreen glyph sheet, update/draw with glow layers)
- * - ProfileFactory (plausible fake profile fields; biased risk)
- * - CapsuleManager (spawn/type/hold/dissolve; DOM pooling; sparkline)
+ * - MatrixRain class (offscreen glyph sheet, column simulation: depth
+ *   layers, wind, pointer; columns recycle in place), trackPointer()
+ * - RainReveal (text/logo masks on the glyph grid, lock/hold/dissolve/cycle)
+ * - Renderers: Canvas2DRenderer, WebGLRenderer (instanced atlas quads, shader
+ *   trail fade, bloom), WorkerRenderer (either one in a Worker),
+ *   setRenderer(); RendererBench; PerformanceGovernor
+ * - ProfileFactory (schema validator + interpreter; default = people profiles)
+ * - Data sources (synthetic, simulation, WebSocket, SSE, file replay) +
+ *   RecordFeed backlog
+ * - EntityMemory (last sighting per id: delta + history)
+ * - RenderModes registry (formatter, CSS class, weight per mode)
+ * - Redaction (field rules, presets, HMAC key) for displayed records
+ * - CapsuleLayout (measured slots, placement strategies, reflow on resize)
+ * - CapsuleManager (spawn/type/hold/dissolve; DOM pooling; pinning)
+ * - Inspector (record tree for the selected pinned capsule)
+ * - A11y (motion level, announcements, keyboard shortcuts)
+ * - Analytics (StreamHistogram, alert rules, charts panel)
+ * - compositeScene() shared by screenshot(), exportPoster() and SceneRecorder
+ *   (WebM); posterSvg()
+ * - SessionLog (NDJSON/CSV export) + SessionReplaySource
+ * - Settings (persistence, share links, presets)
+ * - Sequencer (JSON timeline, eased scene transitions, events, overrides)
+ * - MatrixStreamElement (<matrix-stream>; own engine per instance)
  * - UI bindings and RAF ticker
  */
 
+// ---------------------------- Random --------------------------------------
+// mulberry32 seeded from an FNV-1a hash of the seed string. Each subsystem owns
+// a stream so per-frame rain calls can't shift the profile sequence.
+function hashSeed(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+class Prng {
+  constructor(seed = '') { this.reseed(seed); }
+
+  reseed(seed) { this.state = hashSeed(String(seed)); }
+
+  next() {
+    let t = (this.state = (this.state + 0x6d2b79f5) >>> 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+}
+
+const RNG = {
+  seed: '',
+  rain: new Prng(),     // column spawns and glyph mutation
+  profiles: new Prng(), // ProfileFactory + capsule mode/placement
+  fx: new Prng(),       // cosmetic noise (code overlay, dissolve jitter)
+};
+
+function seedRng(seed) {
+  RNG.seed = String(seed);
+  RNG.rain.reseed(`${RNG.seed}:rain`);
+  RNG.profiles.reseed(`${RNG.seed}:profiles`);
+  RNG.fx.reseed(`${RNG.seed}:fx`);
+}
+
+// The only place Math.random is used: picking a seed when none is given.
+function randomSeed() { return Math.random().toString(36).slice(2, 10); }
+
 // ---------------------------- Utilities ----------------------------------
-const rand = (min, max) => Math.random() * (max - min) + min;
-const randi = (min, max) => Math.floor(rand(min, max));
-const choice = arr => arr[randi(0, arr.length)];
+// Every helper takes an optional stream; default is the cosmetic fx stream.
+const rand = (min, max, rng = RNG.fx) => rng.next() * (max - min) + min;
+const randi = (min, max, rng = RNG.fx) => Math.floor(rand(min, max, rng));
+const choice = (arr, rng = RNG.fx) => arr[randi(0, arr.length, rng)];
+
+function shuffle(arr, rng = RNG.fx) {
+  // Fisher-Yates; sort(() => random - 0.5) is engine-dependent and biased
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = randi(0, i + 1, rng);
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
 
-function weightedChoice(pairs) {
+function weightedChoice(pairs, rng = RNG.fx) {
   // pairs: [value, weight]
   const total = pairs.reduce((s, [, w]) => s + w, 0);
-  let roll = Math.random() * total;
+  let roll = rng.next() * total;
   for (const [v, w] of pairs) {
     if ((roll -= w) <= 0) return v;
   }
@@ -43,6 +215,9 @@ function weightedChoice(pairs) {
 
 function clamp(v, a, b) { return v < a ? a : v > b ? b : v; }
 
+// Plain JSON object (not null, not an array)
+const isRecord = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
 function formatMoneyUSD(n) {
   const sign = n < 0 ? '-' : '';
   const x = Math.abs(Math.round(n));
@@ -51,66 +226,348 @@ function formatMoneyUSD(n) {
 
 function nowMs() { return performance.now(); }
 
+// Clipboard write with a hidden-textarea fallback (file://, older browsers)
+async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch {
+    const ta = document.createElement('textarea');
+    ta.value = text;
+    document.body.appendChild(ta);
+    ta.select();
+    const ok = Boolean(document.execCommand && document.execCommand('copy'));
+    ta.remove();
+    return ok;
+  }
+}
+
 // ---------------------------- Config -------------------------------------
 const CONFIG = {
   densityScale: 1.0, // 0.2..2.0
   speedScale: 1.0,   // 0.5..3.0
+  depthLayers: 3, // 1..4 parallax layers (see DEPTH_LAYERS)
+  wind: 0, // -1..1, sideways drift (negative = leftwards)
+  pointer: 'off', // off | part | repel | light: what the cursor/touch does to the streams
   capsuleRateScale: 1.0, // 0.3..2.0 (higher = more)
   glowIntensity: 0.6, // 0..1
   showCode: true,
-  allowHexCapsules: true,
+  renderModes: {}, // name -> { enabled, weight }; defaults filled by RenderModes.register
   maxCapsules: 12,
+  layout: 'random', // random | lanes | grid | column (see CapsuleLayout)
+  layoutGap: 8, // px kept between capsules and around reserved regions
+  layoutReserved: '.panel', // selector for regions capsules keep clear of
   theme: 'green',
   showFps: false,
+  alertRules: 'risk_score > 80 and emotional_state = burnout', // one rule per line
+  motion: 'auto', // auto (prefers-reduced-motion) | full | reduced | still
+  announce: true, // one-line screen reader summary per capsule
+  redaction: 'off', // off | demo-safe | internal (REDACTION_PRESETS) | custom
+  redactionRules: '', // custom rules, one `field: action` per line
+  seed: '', // set at bootstrap from ?seed= or randomSeed()
+  source: 'synthetic', // synthetic | sim | ws | sse | file
+  sourceUrl: '',
+  replayRate: 2.0, // file replay, records per second
+  simPopulation: 40, // entities kept by the simulation source
+  simArrivals: 0.15, // chance a simulated record is a new arrival, not an update
+  recordSize: 'native', // native | 1280x720 | 1920x1080 | 3840x2160
+  posterSize: '7680x4320', // WxH, any size
+  posterFormat: 'png', // png | svg
+  recordFps: 30,
+  recordMaxSeconds: 30,
+  revealMessages: 'WAKE UP\nFOLLOW THE WHITE RABBIT\n{name}', // one per line; {field} = newest capsule
+  revealHold: 4, // seconds the message stays locked
+  revealDissolve: 2, // seconds to fall back into rain
+  revealCycle: true, // move on to the next message
+  glyphPack: 'classic', // classic | binary | hex | katakana | greek | emoji | custom
+  glyphCustom: '',
+  glyphFont: 'ui-monospace, monospace',
+  glyphSize: 16, // 8..40 css px
+  renderer: 'auto', // auto | webgl | 2d | worker (also ?renderer=)
+  targetFps: 0, // PerformanceGovernor target; 0 = off
+  benchColumns: 400, // fixed column count for the renderer benchmark
+};
+
+// Untouched copy for <matrix-stream> instances (renderModes are added per
+// instance from RenderModes.defaults())
+const CONFIG_DEFAULTS = JSON.parse(JSON.stringify(CONFIG));
+
+// 'full' | 'reduced' | 'still'; `motion: 'auto'` follows the OS setting
+const REDUCED_MOTION = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+function motionLevel(config = CONFIG) {
+  if (config.motion !== 'auto') return config.motion;
+  return REDUCED_MOTION && REDUCED_MOTION.matches ? 'reduced' : 'full';
+}
+
+// ---------------------------- Themes --------------------------------------
+// A theme colours each layer separately. `background` and `rainBody` take a
+// colour or a vertical [top, bottom] gradient; `hueJitter` (degrees) shifts
+// each rain column's body hue by up to +-hueJitter. The glyph atlas is white,
+// so a theme change never re-bakes it. CONFIG.theme names a built-in or a
+// custom theme saved from the editor (localStorage).
+const THEME_FIELDS = {
+  background: { label: 'Background', gradient: true },
+  rainBody: { label: 'Rain body', gradient: true },
+  rainHead: { label: 'Rain head' },
+  glow: { label: 'Glow' },
+  capsuleText: { label: 'Capsule text' },
+  capsuleBorder: { label: 'Capsule border' },
+  code: { label: 'Code noise' },
+};
+const THEME_HUE_MAX = 180;
+
+const solidTheme = color => ({
+  background: '#000000', rainBody: color, rainHead: color, glow: color,
+  capsuleText: color, capsuleBorder: color, code: color, hueJitter: 0,
+});
+const BUILTIN_THEMES = {
+  green: solidTheme('#00ff66'),
+  cyan: solidTheme('#00ffff'),
+  magenta: solidTheme('#ff4dff'),
 };
 
-// Apply theme class to body
+// True when the browser parses `v` as a colour (two sentinels, so a colour
+// equal to one of them still passes)
+const isCssColor = (() => {
+  let probe = null;
+  return v => {
+    if (typeof v !== 'string' || !v.trim()) return false;
+    probe = probe || document.createElement('canvas').getContext('2d');
+    const seen = ['#000001', '#000002'].map(sentinel => {
+      probe.fillStyle = sentinel;
+      probe.fillStyle = v;
+      return probe.fillStyle;
+    });
+    return seen[0] === seen[1];
+  };
+})();
+
+// Validates a theme object; missing fields come from Green. Returns
+// { theme, errors }.
+function parseTheme(data) {
+  const errors = [];
+  if (!isRecord(data)) return { theme: null, errors: ['a theme is a JSON object'] };
+  const theme = { ...BUILTIN_THEMES.green };
+  for (const [key, field] of Object.entries(THEME_FIELDS)) {
+    if (!(key in data)) continue;
+    const v = data[key];
+    const stops = Array.isArray(v) ? v : [v];
+    if (Array.isArray(v) && (!field.gradient || v.length !== 2)) errors.push(`${key}: ${field.gradient ? 'a gradient is [top, bottom]' : 'one colour only'}`);
+    else if (!stops.every(isCssColor)) errors.push(`${key}: not a colour`);
+    else theme[key] = Array.isArray(v) ? [...v] : v;
+  }
+  if ('hueJitter' in data) {
+    const n = Number(data.hueJitter);
+    if (!Number.isFinite(n)) errors.push('hueJitter: not a number');
+    else theme.hueJitter = clamp(n, 0, THEME_HUE_MAX);
+  }
+  return { theme, errors };
+}
+
+// Built-ins plus custom themes from localStorage (read on every call, so
+// <matrix-stream> instances see themes saved on the page)
+const Themes = (() => {
+  const STORE_KEY = 'matrix-stream.themes';
+
+  function custom() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORE_KEY) || 'null');
+      return isRecord(stored) ? stored : {};
+    } catch {
+      return {};
+    }
+  }
+
+  function write(themes) {
+    try {
+      localStorage.setItem(STORE_KEY, JSON.stringify(themes));
+    } catch {}
+  }
+
+  // Unknown names and broken stored themes fall back to Green
+  function get(name) {
+    if (BUILTIN_THEMES[name]) return BUILTIN_THEMES[name];
+    const { theme, errors } = parseTheme(custom()[name]);
+    return theme && !errors.length ? theme : BUILTIN_THEMES.green;
+  }
+
+  const save = (name, theme) => write({ ...custom(), [name]: theme });
+
+  function remove(name) {
+    const themes = custom();
+    delete themes[name];
+    write(themes);
+  }
+
+  return { get, custom, save, remove, isBuiltin: name => name in BUILTIN_THEMES };
+})();
+
+const themeCss = v => Array.isArray(v) ? `linear-gradient(${v[0]}, ${v[1]})` : v;
+
+// CSS side of a theme on `el`: --bg (page/host background), --active
+// (capsule and panel text), --capsule-border, --glow-color
+function applyThemeVars(el, theme) {
+  el.style.setProperty('--bg', themeCss(theme.background));
+  el.style.setProperty('--active', theme.capsuleText);
+  el.style.setProperty('--capsule-border', theme.capsuleBorder);
+  el.style.setProperty('--glow-color', theme.glow);
+}
+
+const rgbCss = rgb => `rgb(${rgb.map(v => Math.round(clamp(v, 0, 1) * 255)).join(',')})`;
+
+// Rotates an rgb (0..1) colour about the grey axis (Rodrigues); GL_GLYPH_VS
+// has the same formula
+function hueRotate([r, g, b], deg) {
+  const a = deg * Math.PI / 180;
+  const cos = Math.cos(a), sin = Math.sin(a) / Math.sqrt(3);
+  const grey = (r + g + b) / 3 * (1 - cos);
+  return [r * cos + (b - g) * sin + grey, g * cos + (r - b) * sin + grey, b * cos + (g - r) * sin + grey];
+}
+
+// What the renderers need, resolved once per theme change: css strings for
+// 2D, 0..1 rgb for WebGL. Solid fills become [c, c] gradients.
+function themePalette(theme) {
+  const stops = v => Array.isArray(v) ? v : [v, v];
+  const p = {
+    background: stops(theme.background),
+    body: stops(theme.rainBody),
+    head: theme.rainHead,
+    glow: theme.glow,
+    code: theme.code,
+    hueJitter: theme.hueJitter || 0,
+  };
+  p.rgb = {
+    background: p.background.map(cssColorToRgb),
+    body: p.body.map(cssColorToRgb),
+    head: cssColorToRgb(p.head),
+    glow: cssColorToRgb(p.glow),
+    code: cssColorToRgb(p.code),
+  };
+  return p;
+}
+
+// Colour of one glyph at `y` of `h`: the head colour, or the body gradient
+// turned by the column's `hue` (-1..1) share of hueJitter
+function glyphColor(p, y, h, head, hue) {
+  if (head) return p.head;
+  const t = clamp(y / h, 0, 1);
+  const [top, bottom] = p.rgb.body;
+  const rgb = top.map((v, i) => v + (bottom[i] - v) * t);
+  return rgbCss(hue && p.hueJitter ? hueRotate(rgb, hue * p.hueJitter) : rgb);
+}
+
+// Page theme: CSS variables on body, colours into the rain
 function applyTheme(theme) {
-  document.body.classList.remove('theme-green', 'theme-cyan', 'theme-magenta');
-  const cls = theme === 'cyan' ? 'theme-cyan' : theme === 'magenta' ? 'theme-magenta' : 'theme-green';
-  document.body.classList.add(cls);
+  applyThemeVars(document.body, theme);
+  rain.setTheme(theme);
 }
 
 // ---------------------------- Canvas setup -------------------------------
-const canvas = document.getElementById('rain');
-const ctx = canvas.getContext('2d');
+// `let`: switching renderers swaps in a fresh element (a canvas keeps the
+// first context type it hands out). Null on pages that only embed
+// <matrix-stream>; the page app then stays off.
+let canvas = document.getElementById('rain');
 
-function initCanvas() { resizeCanvas(); }
+function initCanvas() { setRenderer(CONFIG.renderer); } // also sizes the canvas
 
-function resizeCanvas() {
+// Canvases whose control went to a worker (see WorkerRenderer) -> their
+// backing-store [width, height]; the worker applies it, these can't be resized
+const transferredCanvases = new WeakMap();
+
+// Sizes the backing store for w x h css px; returns the device pixel ratio
+function fitCanvas(cv, w, h) {
   const dpr = Math.max(1, Math.min(2, window.devicePixelRatio || 1));
-  const { innerWidth: w, innerHeight: h } = window;
-  canvas.width = Math.floor(w * dpr);
-  canvas.height = Math.floor(h * dpr);
-  canvas.style.width = `${w}px`;
-  canvas.style.height = `${h}px`;
-  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  const size = [Math.floor(w * dpr), Math.floor(h * dpr)];
+  if (transferredCanvases.has(cv)) transferredCanvases.set(cv, size);
+  else [cv.width, cv.height] = size;
+  cv.style.width = `${w}px`;
+  cv.style.height = `${h}px`;
+  return dpr;
 }
 
-window.addEventListener('resize', resizeCanvas);
+function backingSize(cv) { return transferredCanvases.get(cv) || [cv.width, cv.height]; }
+
+function resizeCanvas() {
+  const dpr = fitCanvas(canvas, window.innerWidth, window.innerHeight);
+  if (rain.renderer) rain.renderer.resize(dpr, window.innerWidth, window.innerHeight);
+}
 
 // ---------------------------- Matrix Rain --------------------------------
+// Glyph packs for the rain (split by code point); 'custom' uses
+// CONFIG.glyphCustom and falls back to classic when empty.
+const GLYPH_KANA = 'ｱｲｳｴｵｶｷｸｹｺｻｼｽｾｿﾀﾁﾂﾃﾄﾅﾆﾇﾈﾉﾊﾋﾌﾍﾎﾏﾐﾑﾒﾓﾔﾕﾖﾗﾘﾙﾚﾛﾜﾝ';
+const GLYPH_PACKS = {
+  classic: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz' + '0123456789' + '!@#$%^&*()_+-=[]{};:\",./<>?' + GLYPH_KANA,
+  binary: '01',
+  hex: '0123456789ABCDEF',
+  katakana: GLYPH_KANA,
+  greek: 'ΑΒΓΔΕΖΗΘΙΚΛΜΝΞΟΠΡΣΤΥΦΧΨΩαβγδεζηθικλμνξοπρστυφχψω∀∂∃∅∇∈∉∏∑√∞∫≈≠≡≤≥⊂⊃⊕⊗',
+  emoji: '😀😎🤖👾💀👻🔥⚡💎🔒🔑📡💾🧬🌐🚀⭐🌙🍀🎲',
+};
+
+// Parallax depth layers, nearest first: glyph size, fall speed and
+// brightness factors, and the layer's share of the Density column count.
+// CONFIG.depthLayers uses the first n.
+const DEPTH_LAYERS = [
+  { scale: 1, speed: 1, alpha: 1, share: 1 },
+  { scale: 0.75, speed: 0.65, alpha: 0.6, share: 0.8 },
+  { scale: 0.55, speed: 0.42, alpha: 0.38, share: 0.6 },
+  { scale: 0.4, speed: 0.28, alpha: 0.24, share: 0.45 },
+];
+const COLUMN_GLYPHS = 60; // glyph ring per column
+const WIND_SPEED = 90; // px/s sideways at wind 1, nearest layer
+const POINTER_RADIUS = 110; // css px around the pointer
+
+// Simulation only; pixels are produced by `this.renderer` (see Renderers).
+// Sized by its own canvas; colours come from `palette` (see setTheme()).
 class MatrixRain {
-  constructor(ctx) {
-    this.ctx = ctx;
+  constructor(canvas, config = CONFIG) {
+    this.canvas = canvas; // replaced along with the renderer
+    this.config = config;
+    this.renderer = null; // assigned by setRenderer()
     this.columns = [];
-    this.glyphSize = 16; // device-independent pixels
+    this.glyphSize = config.glyphSize; // device-independent pixels
     this.columnCount = 0;
+    this.layers = 0; // depth layers the columns were laid out for
+    this.layoutWidth = 0; // canvas width the column x positions were laid out for
+    this.fixedColumns = 0; // benchmark override; 0 = follow Density
+    this.quality = 1; // PerformanceGovernor's 0..1 scale on density and glow
+    this.headAlpha = 0.95;
+    this.baseAlpha = 0.65;
+    this.pointer = { x: 0, y: 0, active: false }; // canvas css px; see trackPointer()
+    this.reveal = new RainReveal(this);
+    this.setTheme(Themes.get(config.theme));
     this.characters = this.buildGlyphSet();
     this.sheet = this.buildGlyphSheet();
     this.resetColumns();
   }
 
   buildGlyphSet() {
-    const latin = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
-    const digits = '0123456789';
-    const punct = '!@#$%^&*()_+-=[]{};:\",./<>?';
-    const kana = 'ｱｲｳｴｵｶｷｸｹｺｻｼｽｾｿﾀﾁﾂﾃﾄﾅﾆﾇﾈﾉﾊﾋﾌﾍﾎﾏﾐﾑﾒﾓﾔﾕﾖﾗﾘﾙﾚﾛﾜﾝ';
-    return (latin + digits + punct + kana).split('');
+    const custom = this.config.glyphPack === 'custom' && this.config.glyphCustom.replace(/\s/g, '');
+    const source = custom || GLYPH_PACKS[this.config.glyphPack] || GLYPH_PACKS.classic;
+    return Array.from(new Set(Array.from(source)));
+  }
+
+  setTheme(theme) {
+    this.theme = theme;
+    this.palette = themePalette(theme);
+  }
+
+  // Re-renders the atlas for the current pack/font/size. The renderers
+  // notice the new sheet canvas and re-upload it.
+  rebuildGlyphs() {
+    const chars = this.buildGlyphSet();
+    const layoutChanged = chars.join('') !== this.characters.join('') || this.config.glyphSize !== this.glyphSize;
+    this.characters = chars;
+    this.glyphSize = this.config.glyphSize;
+    this.sheet = this.buildGlyphSheet();
+    if (layoutChanged) this.resetColumns();
   }
 
   buildGlyphSheet() {
-    // prerender characters to an offscreen canvas rows x cols grid
+    // prerender characters to an offscreen canvas rows x cols grid, white on
+    // transparent: the renderers tint it with the theme palette
     const size = this.glyphSize;
     const cols = 32; // per row
     const rows = Math.ceil(this.characters.length / cols);
@@ -118,450 +575,5510 @@ class MatrixRain {
     off.width = cols * size;
     off.height = rows * size;
     const c = off.getContext('2d');
-    c.fillStyle = '#000';
-    c.fillRect(0, 0, off.width, off.height);
-    c.font = `${size - 2}px ui-monospace, monospace`;
+    c.font = `${size - 2}px ${this.config.glyphFont}`;
     c.textAlign = 'center';
     c.textBaseline = 'middle';
     for (let i = 0; i < this.characters.length; i++) {
       const ch = this.characters[i];
       const x = (i % cols) * size + size / 2;
       const y = Math.floor(i / cols) * size + size / 2;
-      c.fillStyle = '#0f0';
+      c.fillStyle = '#fff';
       c.shadowBlur = 8;
-      c.shadowColor = '#0f0';
+      c.shadowColor = '#fff';
       c.fillText(ch, x, y);
     }
-    return { canvas: off, cols, size };
+    return { canvas: off, cols, rows, size };
+  }
+
+  get layerCount() { return clamp(Math.round(this.config.depthLayers) || 1, 1, DEPTH_LAYERS.length); }
+
+  // Columns wanted in depth layer `k` (0 = nearest); the benchmark's fixed
+  // count is split by the same shares
+  targetColumns(k) {
+    const layers = this.layerCount;
+    if (k >= layers) return 0;
+    const { share } = DEPTH_LAYERS[k];
+    if (this.fixedColumns) {
+      let shares = 0;
+      for (let i = 0; i < layers; i++) shares += DEPTH_LAYERS[i].share;
+      return Math.round(this.fixedColumns * share / shares);
+    }
+    const density = 0.7 * this.config.densityScale * this.quality; // base density
+    return Math.max(k === 0 ? 8 : 0, Math.floor((this.canvas.clientWidth / this.glyphSize) * density * share));
+  }
+
+  get targetTotal() {
+    let n = 0;
+    for (let k = 0; k < DEPTH_LAYERS.length; k++) n += this.targetColumns(k);
+    return n;
   }
 
   resetColumns() {
-    const w = canvas.clientWidth;
-    const h = canvas.clientHeight;
-    const size = this.glyphSize;
-    const density = 0.7 * CONFIG.densityScale; // base density
-    const numCols = Math.max(8, Math.floor((w / size) * density));
-    this.columnCount = numCols;
+    const h = this.canvas.clientHeight;
     this.columns.length = 0;
-    for (let i = 0; i < numCols; i++) {
-      this.columns.push(this.spawnColumn(i, h));
+    for (let k = 0; k < DEPTH_LAYERS.length; k++) {
+      const n = this.targetColumns(k);
+      for (let i = 0; i < n; i++) this.columns.push(this.spawnColumn(k, i / n, h));
     }
+    this.columnCount = this.columns.length;
+    this.layers = this.layerCount;
+    this.layoutWidth = this.canvas.clientWidth;
   }
 
-  spawnColumn(index, screenH) {
-    const size = this.glyphSize;
-    const x = Math.floor(index * (canvas.clientWidth / this.columnCount));
-    return {
-      x,
-      y: randi(-screenH, 0),
-      speed: rand(60, 180) * CONFIG.speedScale, // px per second
-      streamLength: randi(10, 40),
-      glyphIndices: Array.from({ length: 60 }, () => randi(0, this.characters.length)),
-      drift: rand(-0.2, 0.2),
+  // New column object; only for growing the pool (see resetColumn)
+  spawnColumn(layer, slot, screenH) {
+    const col = {
+      layer, size: 0, x: 0, y: 0, speed: 0, streamLength: 0,
+      glyphIndices: new Array(COLUMN_GLYPHS).fill(0),
+      drift: 0, // the column's own +-share of the wind
+      hue: 0, // share of the theme's hueJitter
+      slant: 0, // horizontal px per px of fall, so trails follow the wind
     };
+    return this.resetColumn(col, slot, screenH);
   }
 
+  // Re-rolls `col` in place, so recycling allocates nothing. `slot` is the
+  // horizontal position as a 0..1 share of the width.
+  resetColumn(col, slot, screenH) {
+    const rng = RNG.rain;
+    const layer = DEPTH_LAYERS[col.layer];
+    col.size = Math.max(4, Math.round(this.glyphSize * layer.scale));
+    col.x = Math.floor(slot * this.canvas.clientWidth);
+    col.y = randi(-screenH, 0, rng);
+    col.speed = rand(60, 180, rng) * this.config.speedScale * layer.speed; // px per second
+    col.streamLength = randi(10, 40, rng);
+    for (let i = 0; i < COLUMN_GLYPHS; i++) col.glyphIndices[i] = randi(0, this.characters.length, rng);
+    col.drift = rand(-0.2, 0.2, rng);
+    col.hue = rand(-1, 1, rng);
+    return col;
+  }
+
+  // `dt` in real seconds; the columns slow down (or freeze) with the motion
+  // level, the reveal keeps its own pace
   update(dt) {
-    const h = canvas.clientHeight;
-    const size = this.glyphSize;
-    const speedScale = CONFIG.speedScale;
-    // Occasionally rebuild columns when density changes or window resized
-    const desiredCols = Math.max(8, Math.floor((canvas.clientWidth / size) * 0.7 * CONFIG.densityScale));
-    if (desiredCols !== this.columnCount) {
-      this.resetColumns();
-      return;
-    }
+    this.reveal.update(dt);
+    dt *= RAIN_MOTION_SCALE[motionLevel(this.config)];
+    const w = this.canvas.clientWidth, h = this.canvas.clientHeight;
+    const speedScale = this.config.speedScale;
+    const wind = this.config.wind * WIND_SPEED;
+    // density or depth changed, or the canvas resized
+    if (this.targetTotal !== this.columnCount || this.layerCount !== this.layers || w !== this.layoutWidth) this.fitColumns();
     for (const col of this.columns) {
-      col.y += col.speed * speedScale * dt;
-      if (col.y - col.streamLength * size > h + 20) {
-        // recycle column
-        Object.assign(col, this.spawnColumn(Math.random() * this.columnCount, h));
+      const vy = col.speed * speedScale;
+      const vx = wind * DEPTH_LAYERS[col.layer].speed * (1 + col.drift);
+      col.y += vy * dt;
+      col.x += vx * dt;
+      col.slant = vy ? vx / vy : 0;
+      // wrap sideways with the wind
+      if (col.x < -col.size) col.x += w + col.size;
+      else if (col.x > w) col.x -= w + col.size;
+      if (col.y - col.streamLength * col.size > h + 20) this.resetColumn(col, RNG.rain.next(), h);
+      // mutate glyphs lightly (~12/s; none while frozen)
+      if (RNG.rain.next() < 12 * dt) {
+        const idx = randi(0, COLUMN_GLYPHS, RNG.rain);
+        col.glyphIndices[idx] = randi(0, this.characters.length, RNG.rain);
       }
-      // mutate glyphs lightly
-      if (Math.random() < 0.2) {
-        const idx = randi(0, col.glyphIndices.length);
-        col.glyphIndices[idx] = randi(0, this.characters.length);
+    }
+  }
+
+  // Follows new targets (density, depth, resize) without restarting the
+  // running streams: each layer adds or drops columns at random and they
+  // stretch to the new width, so eased density changes stay smooth
+  fitColumns() {
+    const w = this.canvas.clientWidth, h = this.canvas.clientHeight;
+    if (this.layoutWidth && w !== this.layoutWidth) {
+      for (const col of this.columns) col.x = Math.floor(col.x * w / this.layoutWidth);
+    }
+    this.layoutWidth = w;
+    for (let k = 0; k < DEPTH_LAYERS.length; k++) {
+      const target = this.targetColumns(k);
+      const mine = this.columns.filter(col => col.layer === k);
+      while (mine.length > target) {
+        const [drop] = mine.splice(randi(0, mine.length, RNG.rain), 1);
+        this.columns.splice(this.columns.indexOf(drop), 1);
       }
+      for (let n = mine.length; n < target; n++) this.columns.push(this.spawnColumn(k, RNG.rain.next(), h));
     }
+    this.columnCount = this.columns.length;
+    this.layers = this.layerCount;
   }
 
-  draw() {
-    const { ctx } = this;
-    const w = canvas.clientWidth;
-    const h = canvas.clientHeight;
-    const size = this.glyphSize;
-    // trail fade
-    ctx.globalCompositeOperation = 'source-over';
-    ctx.fillStyle = `rgba(0,0,0,0.18)`;
-    ctx.fillRect(0, 0, w, h);
+  // Glow the renderers draw with: the setting, scaled down by the governor
+  get glow() { return clamp(this.config.glowIntensity, 0, 1) * this.quality; }
 
-    // glow layers: paint dim layer then bright heads
-    const glow = clamp(CONFIG.glowIntensity, 0, 1);
-    const baseAlpha = 0.65;
-    const headAlpha = 0.95;
+  glyphAt(col, i) { return col.glyphIndices[i % COLUMN_GLYPHS]; }
 
-    // precompute sheet
-    const { canvas: sheet, cols, size: cell } = this.sheet;
+  glyphAlpha(i, len) { return i === 0 ? this.headAlpha : this.baseAlpha * (1 - i / len); }
 
-    for (const col of this.columns) {
-      let y = col.y;
-      for (let i = 0; i < col.streamLength; i++) {
-        const gi = col.glyphIndices[(i + (col.glyphIndices.length - (i % col.glyphIndices.length))) % col.glyphIndices.length];
-        const sx = (gi % cols) * cell;
-        const sy = Math.floor(gi / cols) * cell;
-        const isHead = i === 0;
+  // Upper bound on eachGlyph() calls per frame
+  get glyphCount() {
+    let n = this.reveal.glyphCount;
+    for (const col of this.columns) n += col.streamLength;
+    return n;
+  }
 
-        ctx.globalAlpha = isHead ? headAlpha : baseAlpha * (1 - i / col.streamLength);
-        // colorize via composite
-        ctx.save();
-        ctx.shadowBlur = 8 + glow * 14;
-        ctx.shadowColor = getActiveColor();
-        ctx.drawImage(sheet, sx, sy, cell, cell, col.x, y - i * size, size, size);
-        ctx.restore();
+  // fn(x, y, glyphIndex, alpha, head, hue, size) for every glyph on screen
+  // (0..h): the columns far layer first, then the reveal on top. Shared by
+  // the renderers and the poster. `head` is a bright glyph (a stream's
+  // leader, or lit by the pointer), `hue` the column's -1..1, `size` css px.
+  eachGlyph(h, fn) {
+    const { pointer } = this;
+    const mode = pointer.active ? this.config.pointer : 'off';
+    const r2 = POINTER_RADIUS * POINTER_RADIUS;
+    for (let k = this.layers - 1; k >= 0; k--) {
+      const dim = DEPTH_LAYERS[k].alpha;
+      for (const col of this.columns) {
+        if (col.layer !== k) continue;
+        const size = col.size;
+        for (let i = 0; i < col.streamLength; i++) {
+          let x = col.x - i * size * col.slant;
+          let y = col.y - i * size;
+          if (y < -size || y > h) continue;
+          let alpha = this.glyphAlpha(i, col.streamLength) * dim;
+          let head = i === 0;
+          if (mode !== 'off') {
+            const dx = x + size / 2 - pointer.x, dy = y + size / 2 - pointer.y;
+            const d2 = dx * dx + dy * dy;
+            if (d2 < r2) {
+              const d = Math.sqrt(d2) || 1;
+              const f = 1 - d / POINTER_RADIUS; // 1 at the pointer, 0 at the edge
+              if (mode === 'part') {
+                x += (dx < 0 ? -1 : 1) * f * POINTER_RADIUS * 0.5;
+              } else if (mode === 'repel') {
+                x += dx / d * f * POINTER_RADIUS * 0.6;
+                y += dy / d * f * POINTER_RADIUS * 0.6;
+              } else {
+                alpha = Math.max(alpha, f);
+                head = head || f > 0.5;
+              }
+            }
+          }
+          fn(x, y, this.glyphAt(col, i), alpha, head, col.hue, size);
+        }
       }
     }
+    this.reveal.each(h, fn);
+  }
+
+  // fn(x, width, hue) for every column: the band its glyphs fall in, wide
+  // enough for a trail slanted by the wind
+  eachColumn(fn) {
+    for (const col of this.columns) {
+      const lean = col.streamLength * col.size * col.slant;
+      fn(Math.min(col.x, col.x - lean), Math.abs(lean) + col.size, col.hue);
+    }
+  }
 
+  draw() {
+    if (!this.renderer) return;
     // optional code noise overlay
-    if (CONFIG.showCode && Math.random() < 0.06) {
-      ctx.globalAlpha = 0.9;
-      ctx.font = `12px ui-monospace, monospace`;
-      ctx.fillStyle = getActiveColor();
-      const snippets = [
-        "if(risk_score>70){alert('!')}",
-        "SELECT * FROM agents WHERE mood='flow'",
-        "for(let a of actors){a.tick()}",
-        "while(load<1.0){optimize()}",
-        "pub fn assess(r:u8)->u8{r^42}",
-      ];
-      ctx.fillText(choice(snippets), randi(0, w - 240), randi(0, h));
+    let code = null;
+    if (this.config.showCode && RNG.fx.next() < 0.06 && motionLevel(this.config) === 'full') {
+      const w = this.canvas.clientWidth;
+      const h = this.canvas.clientHeight;
+      code = { text: choice(CODE_SNIPPETS), x: randi(0, w - 240), y: randi(0, h) };
     }
+    this.renderer.render(this, code);
   }
 }
 
-function getActiveColor() {
-  const body = getComputedStyle(document.body);
-  return body.getPropertyValue('--active').trim() || '#00ff66';
+const CODE_SNIPPETS = [
+  "if(risk_score>70){alert('!')}",
+  "SELECT * FROM agents WHERE mood='flow'",
+  "for(let a of actors){a.tick()}",
+  "while(load<1.0){optimize()}",
+  "pub fn assess(r:u8)->u8{r^42}",
+];
+
+// Feeds `rain.pointer` from pointer events on `target`: a mouse counts while
+// it is over the target, a touch while it is down
+function trackPointer(target, rain) {
+  const move = e => {
+    const r = rain.canvas.getBoundingClientRect();
+    rain.pointer.x = e.clientX - r.left;
+    rain.pointer.y = e.clientY - r.top;
+    rain.pointer.active = e.pointerType !== 'touch' || e.type === 'pointerdown' || e.buttons > 0;
+  };
+  const leave = e => { if (e.type !== 'pointerup' || e.pointerType === 'touch') rain.pointer.active = false; };
+  target.addEventListener('pointermove', move);
+  target.addEventListener('pointerdown', move);
+  for (const type of ['pointerup', 'pointercancel', 'pointerleave']) target.addEventListener(type, leave);
 }
 
-// ---------------------------- Profile Factory -----------------------------
-const ProfileFactory = (() => {
-  const firstNames = ['Ava','Mia','Liam','Noah','Emma','Oliver','Lucas','Amelia','Ethan','Sofia','Zoe','Kai','Nina','Leo','Isla','Maya','Ezra','Ivy','Mila','Aria','Theo','Luna','Finn','Mason','Iris'];
-  const lastNames = ['Kim','Lee','Nguyen','Patel','Garcia','Chen','Smith','Khan','Mori','Silva','Rossi','Santos','Brown','Martin','Lopez','Wilson','Dubois','Kowalski'];
-  const genders = ['female','male','non-binary'];
-  const industries = ['Finance','Healthcare','Tech','Education','Retail','Energy','Gaming','Media','Gov','Aerospace'];
-  const jobs = ['Engineer','Designer','Data Scientist','Analyst','PM','Researcher','Nurse','Teacher','Marketer','Artist','Security','Pilot'];
-  const relationship = ['single','dating','married','complicated'];
-  const education = ['HS','Associate','BSc','MSc','PhD'];
-  const emotional = [
-    ['focused', 3], ['stressed', 2], ['curious', 3], ['flow', 2],
-    ['burnout', 1], ['optimistic', 2], ['calm', 2], ['distracted', 1]
-  ];
-  const cities = ['New York','Berlin','Tokyo','Seoul','Toronto','Paris','Madrid','Sydney','Sao Paulo','Nairobi','Dublin','Singapore'];
+function getActiveColor(el = document.body) {
+  return getComputedStyle(el).getPropertyValue('--active').trim() || '#00ff66';
+}
 
-  function makeId() {
-    return Math.random().toString(36).slice(2, 8) + '-' + Date.now().toString(36).slice(-4);
+// ---------------------------- Reveal --------------------------------------
+// The rain resolving into a message or logo. The target is a mask on the
+// glyph grid; one seeker drop per mask column falls through it and locks
+// each lit cell as its head passes. After `revealHold` seconds the locked
+// glyphs fall away over `revealDissolve` seconds, and with `revealCycle`
+// the next item follows after a short gap. Below full motion cells lock in
+// place at once and dissolve by fading.
+const REVEAL_FILL = 0.8; // share of the grid a mask may cover
+const REVEAL_GAP_MS = 1200;
+const REVEAL_FONT = 'system-ui, sans-serif';
+
+// Rasterises onto a cols x rows canvas (one pixel per cell) and keeps the
+// cells above half coverage. `draw(c)` paints in white.
+function rasterMask(cols, rows, draw) {
+  const off = document.createElement('canvas');
+  off.width = cols;
+  off.height = rows;
+  const c = off.getContext('2d');
+  draw(c);
+  const data = c.getImageData(0, 0, cols, rows).data;
+  const cells = [];
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) if (data[(y * cols + x) * 4 + 3] > 127) cells.push([x, y]);
   }
+  return cells;
+}
 
-  function sampleIncome(industry) {
-    const base = {
-      Tech: [80000, 220000], Finance: [70000, 250000], Healthcare: [50000, 180000],
-      Education: [35000, 120000], Retail: [30000, 90000], Energy: [60000, 200000],
-      Gaming: [45000, 150000], Media: [40000, 140000], Gov: [40000, 120000], Aerospace: [70000, 210000]
-    }[industry] || [40000, 120000];
-    return Math.round(rand(base[0], base[1]) / 1000) * 1000;
+// Text as large as fits, word-wrapped onto up to three lines
+function textMask(text, cols, rows) {
+  const words = text.trim().split(/\s+/);
+  const c = document.createElement('canvas').getContext('2d');
+  let best = null;
+  for (let n = 1; n <= Math.min(3, words.length); n++) {
+    const per = Math.ceil(words.length / n);
+    const lines = Array.from({ length: n }, (_, i) => words.slice(i * per, (i + 1) * per).join(' ')).filter(Boolean);
+    c.font = `900 100px ${REVEAL_FONT}`;
+    const widest = Math.max(...lines.map(l => c.measureText(l).width), 1);
+    const px = Math.floor(Math.min(cols * REVEAL_FILL / widest * 100, rows * REVEAL_FILL / (lines.length * 1.1)));
+    if (!best || px > best.px) best = { lines, px };
   }
+  const { lines, px } = best;
+  return rasterMask(cols, rows, c => {
+    c.font = `900 ${px}px ${REVEAL_FONT}`;
+    c.fillStyle = '#fff';
+    c.textAlign = 'center';
+    c.textBaseline = 'middle';
+    lines.forEach((line, i) => c.fillText(line, cols / 2, rows / 2 + (i - (lines.length - 1) / 2) * px * 1.1));
+  });
+}
 
-  function riskFromIncomeAndMood(income, mood) {
-    let r = rand(10, 90);
-    if (income > 150000) r -= 10;
-    if (income < 40000) r += 10;
-    const moodBias = {
-      burnout: +15, stressed: +10, distracted: +8, focused: -5, calm: -5, flow: -8, optimistic: -3, curious: 0
-    };
-    r += moodBias[mood] || 0;
-    return clamp(Math.round(r), 0, 100);
+// Monochrome image fitted into the grid. Lit = opaque pixels when the
+// corners are transparent, otherwise pixels that differ from the corners
+// (so dark-on-white and light-on-dark logos both work).
+function imageMask(img, cols, rows) {
+  const k = Math.min(cols * REVEAL_FILL / img.width, rows * REVEAL_FILL / img.height);
+  const w = Math.max(1, Math.round(img.width * k)), h = Math.max(1, Math.round(img.height * k));
+  const probe = document.createElement('canvas');
+  probe.width = w;
+  probe.height = h;
+  const pc = probe.getContext('2d');
+  pc.drawImage(img, 0, 0, w, h);
+  const px = pc.getImageData(0, 0, w, h).data;
+  const lum = i => 0.299 * px[i] + 0.587 * px[i + 1] + 0.114 * px[i + 2];
+  const corners = [0, (w - 1) * 4, (h - 1) * w * 4, (h * w - 1) * 4];
+  const clear = corners.every(i => px[i + 3] < 128);
+  const bg = corners.reduce((sum, i) => sum + lum(i), 0) / 4;
+  const lit = i => clear ? px[i + 3] > 127 : px[i + 3] > 127 && Math.abs(lum(i) - bg) > 96;
+  const x0 = Math.floor((cols - w) / 2), y0 = Math.floor((rows - h) / 2);
+  const cells = [];
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) if (lit((y * w + x) * 4)) cells.push([x0 + x, y0 + y]);
   }
+  return cells;
+}
 
-  function interestsSet() {
-    const pool = ['climbing','reading','ai','music','crypto','gardening','photography','biking','chess','vr','cooking','yoga','travel','gaming'];
-    const n = randi(2, 6);
-    const shuffled = [...pool].sort(() => Math.random() - 0.5);
-    return shuffled.slice(0, n);
+class RainReveal {
+  constructor(rain) {
+    this.rain = rain;
+    this.items = []; // strings (templates) and images
+    this.index = 0;
+    this.resolve = text => text; // fills {field} placeholders
+    this.phase = 'off'; // off | reveal | hold | dissolve | gap
+    this.timer = 0; // seconds left in hold/gap
+    this.cells = [];
+    this.seekers = [];
+    this.label = '';
   }
 
-  function generate() {
-    const ind = choice(industries);
-    const job = choice(jobs);
-    const mood = weightedChoice(emotional);
-    const age = randi(18, 70);
-    const inc = sampleIncome(ind);
-    const risk = riskFromIncomeAndMood(inc, mood);
-    const profile = {
-      id: makeId(),
-      name: `${choice(firstNames)} ${choice(lastNames)}`,
-      age,
-      gender: choice(genders),
-      job_title: job,
-      industry: ind,
-      income_usd: inc,
-      education: choice(education),
-      location_city: choice(cities),
-      relationship_status: choice(relationship),
-      emotional_state: mood,
-      activity: choice(['browsing','coding','commuting','meeting','streaming','learning','exercising','shopping']),
-      interests: interestsSet(),
-      risk_score: risk,
-      last_active: new Date(Date.now() - randi(0, 3600 * 1000)).toISOString(),
-    };
-    return profile;
+  get active() { return this.phase !== 'off'; }
+
+  get glyphCount() {
+    let n = this.cells.length;
+    for (const s of this.seekers) n += s.trail.length;
+    return n;
   }
 
-  return { generate };
-})();
+  // items: message strings (may hold {field} placeholders) and/or images
+  play(items, resolve = this.resolve) {
+    this.items = items.filter(item => item && (typeof item !== 'string' || item.trim()));
+    this.resolve = resolve;
+    this.index = 0;
+    if (!this.start()) this.stop();
+  }
 
-// ---------------------------- Capsule Manager -----------------------------
-class CapsuleManager {
-  constructor(container) {
-    this.container = container;
-    this.pool = [];
-    this.active = new Set();
-    this.spawnAccumulator = 0;
+  stop() {
+    this.phase = 'off';
+    this.cells = [];
+    this.seekers = [];
+    this.label = '';
   }
 
-  tick(dt) {
-    // spawn logic
-    const baseRate = 1.0; // per second baseline
-    const rate = baseRate * CONFIG.capsuleRateScale;
-    this.spawnAccumulator += dt * rate;
-    if (this.spawnAccumulator >= rand(0.6, 1.4)) {
-      this.spawnAccumulator = 0;
-      if (this.active.size < CONFIG.maxCapsules) this.spawnRandom();
+  dissolve() {
+    if (this.phase !== 'reveal' && this.phase !== 'hold') return;
+    const rng = RNG.fx;
+    const span = this.rain.config.revealDissolve;
+    for (const cell of this.cells) {
+      cell.release = rand(0, span, rng);
+      cell.fall = rand(120, 320, rng) * this.rain.config.speedScale;
     }
+    this.seekers = [];
+    this.phase = 'dissolve';
+    this.timer = span + 0.6;
   }
 
-  spawnRandom() {
-    const profile = ProfileFactory.generate();
-    const mode = this.pickMode();
-    const node = this.getNode();
-    node.className = `capsule ${mode}`;
-    node.style.opacity = '0';
-    node.innerHTML = '';
-    node.style.left = `${randi(10, Math.max(20, window.innerWidth - 360))}px`;
-    node.style.top = `${randi(10, Math.max(20, window.innerHeight - 160))}px`;
-    const hdr = document.createElement('div');
-    hdr.className = 'hdr';
-    hdr.textContent = 'PROFILE_STREAM';
-    const content = document.createElement('div');
-    const spark = Math.random() < 0.1 ? document.createElement('div') : null;
-    if (spark) spark.className = 'spark';
-    node.appendChild(hdr);
-    node.appendChild(content);
-    if (spark) node.appendChild(spark);
-    this.container.appendChild(node);
-    this.active.add(node);
+  // Builds the mask for the current item; skips items that resolve to
+  // nothing. False when none is left.
+  start() {
+    const rain = this.rain;
+    const size = rain.glyphSize;
+    const cols = Math.floor(rain.canvas.clientWidth / size), rows = Math.floor(rain.canvas.clientHeight / size);
+    for (let tries = 0; tries < this.items.length; tries++) {
+      const item = this.items[this.index];
+      const text = typeof item === 'string' ? this.resolve(item).trim() : '';
+      const mask = !cols || !rows ? [] : text ? textMask(text, cols, rows) : typeof item === 'string' ? [] : imageMask(item, cols, rows);
+      if (mask.length) return this.begin(mask, text || 'logo');
+      this.index = (this.index + 1) % this.items.length;
+    }
+    return false;
+  }
 
-    // Build text by mode
-    let text = '';
-    if (mode === 'json') {
-      text = JSON.stringify(profile, null, 2);
-    } else if (mode === 'inline') {
-      text = [
-        `id=${profile.id}`,
-        `age=${profile.age}`,
-        `job=${profile.job_title}`,
-        `emotional=${profile.emotional_state}`,
-        `income=${formatMoneyUSD(profile.income_usd)}`,
-        `risk=${profile.risk_score}`
-      ].join(' | ');
-    } else {
-      // hex mode - fake serialize to bytes
-      const raw = JSON.stringify(profile);
-      const bytes = Array.from(raw).map(ch => ch.charCodeAt(0) & 0xff);
-      text = bytes.map(b => b.toString(16).padStart(2, '0')).join(' ');
+  begin(mask, label) {
+    const rng = RNG.fx;
+    const size = this.rain.glyphSize;
+    const instant = motionLevel(this.rain.config) !== 'full';
+    const chars = this.rain.characters.length;
+    this.label = label;
+    this.cells = mask.map(([cx, cy]) => ({
+      x: cx * size, y: cy * size, gi: randi(0, chars, rng),
+      locked: instant, flash: instant ? 0 : 1, release: 0, fall: 0, drop: 0,
+    }));
+    this.seekers = [];
+    if (!instant) {
+      // one seeker per mask column; its cells top to bottom
+      const byColumn = new Map();
+      for (const cell of this.cells) {
+        if (!byColumn.has(cell.x)) byColumn.set(cell.x, []);
+        byColumn.get(cell.x).push(cell);
+      }
+      for (const [x, cells] of byColumn) {
+        cells.sort((a, b) => a.y - b.y);
+        this.seekers.push({
+          x, cells, next: 0,
+          y: -rand(0, this.rain.canvas.clientHeight * 0.6, rng),
+          speed: rand(220, 420, rng) * this.rain.config.speedScale,
+          trail: Array.from({ length: randi(6, 14, rng) }, () => randi(0, chars, rng)),
+        });
+      }
     }
+    this.phase = instant ? 'hold' : 'reveal';
+    this.timer = this.rain.config.revealHold;
+    return true;
+  }
 
-    // Optional sparkline of risk score history
-    if (node.querySelector('.spark')) {
-      const line = this.makeSparkline(profile.risk_score);
-      node.querySelector('.spark').textContent = `risk_ticks ${line}`;
+  update(dt) {
+    if (this.phase === 'off') return;
+    const h = this.rain.canvas.clientHeight;
+    const size = this.rain.glyphSize;
+    for (const cell of this.cells) cell.flash = Math.max(0, cell.flash - dt * 2);
+    if (this.phase === 'reveal') {
+      for (const s of this.seekers) {
+        s.y += s.speed * dt;
+        while (s.next < s.cells.length && s.cells[s.next].y <= s.y) s.cells[s.next++].locked = true;
+      }
+      this.seekers = this.seekers.filter(s => s.y - s.trail.length * size <= h);
+      if (this.cells.every(c => c.locked)) this.phase = 'hold';
+      return;
     }
+    this.timer -= dt;
+    if (this.phase === 'hold') {
+      for (const s of this.seekers) s.y += s.speed * dt; // let the last drops run out
+      if (this.timer <= 0) this.dissolve();
+    } else if (this.phase === 'dissolve') {
+      const falling = motionLevel(this.rain.config) === 'full';
+      for (const cell of this.cells) {
+        cell.release -= dt;
+        if (cell.release < 0 && falling) cell.drop += cell.fall * dt;
+      }
+      if (this.timer <= 0) {
+        this.cells = [];
+        this.phase = this.rain.config.revealCycle && this.items.length ? 'gap' : 'off';
+        this.timer = REVEAL_GAP_MS / 1000;
+        if (this.phase === 'off') this.label = '';
+      }
+    } else if (this.phase === 'gap' && this.timer <= 0) {
+      this.index = (this.index + 1) % this.items.length;
+      if (!this.start()) this.stop();
+    }
+  }
 
-    // Typewriter
-    this.typeText(content, text, rand(0.04, 0.08), () => {
-      // Highlight some fields briefly
-      this.pulseHighlights(content);
-      node.style.opacity = '1';
-      // hold then dissolve
-      setTimeout(() => this.dissolve(node), randi(2000, 4000));
-    });
+  // Indices wrap so a glyph pack change mid-reveal can't index past the atlas
+  each(h, fn) {
+    const size = this.rain.glyphSize;
+    const chars = this.rain.characters.length;
+    for (const cell of this.cells) {
+      if (!cell.locked) continue;
+      // released cells fade over 0.6s while they fall
+      const fade = cell.release < 0 ? Math.max(0, 1 + cell.release / 0.6) : 1;
+      const y = cell.y + cell.drop;
+      if (fade > 0 && y <= h) fn(cell.x, y, cell.gi % chars, (0.85 + 0.15 * cell.flash) * fade, true, 0, size);
+    }
+    for (const s of this.seekers) {
+      for (let i = 0; i < s.trail.length; i++) {
+        const y = s.y - i * size;
+        if (y < -size || y > h) continue;
+        fn(s.x, y, s.trail[i] % chars, i === 0 ? 1 : this.rain.glyphAlpha(i, s.trail.length), i === 0, 0, size);
+      }
+    }
   }
 
-  pickMode() {
-    const modes = ['json', 'inline'];
-    if (CONFIG.allowHexCapsules) modes.push('hex');
-    return choice(modes);
+  get status() {
+    if (this.phase === 'off') return '';
+    const locked = this.cells.filter(c => c.locked).length;
+    const progress = this.phase === 'reveal' ? ` ${Math.round(locked / this.cells.length * 100)}%` : '';
+    const of = this.items.length > 1 ? ` (${this.index + 1}/${this.items.length})` : '';
+    return `${this.phase}${progress} · ${this.label}${of}`;
   }
+}
 
-  getNode() {
-    const n = this.pool.pop();
-    return n || document.createElement('div');
+// ---------------------------- Renderers -----------------------------------
+// A renderer turns MatrixRain state into pixels: `render(rain, code)` with
+// colours from `rain.palette`, `resize(dpr, w, h)` after the backing store
+// changes (w x h css px), and `sync()` to block until the frame is done
+// (benchmarking only). WebGL is preferred; Canvas2D is the fallback and the
+// reference look. Both only read what a frame posted to a worker also carries
+// (sheet, palette, glow, glyphCount, eachGlyph, eachColumn), so
+// WorkerRenderer can run either on an OffscreenCanvas.
+//
+// Canvas2D colours the white atlas in a layer: body glyphs are stamped there
+// by alpha, then `source-atop` paints the body gradient (one strip per column
+// when the theme has hue jitter) over them, and the layer is drawn with the
+// glow as its shadow. Heads use an atlas copy tinted in the head colour.
+
+// Scratch canvas; an OffscreenCanvas where there is no DOM (render worker)
+function makeCanvas() {
+  return typeof document === 'undefined' ? new OffscreenCanvas(1, 1) : document.createElement('canvas');
+}
+
+class Canvas2DRenderer {
+  constructor(canvas) {
+    this.kind = '2d';
+    this.note = ''; // why this is a fallback, for the status line
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.w = 0; // css px, from resize()
+    this.h = 0;
+    this.layer = makeCanvas();
+    this.layerCtx = this.layer.getContext('2d');
+    this.heads = { source: null, color: '', canvas: makeCanvas() };
+    this.fills = { palette: null, h: 0, background: null, body: null, hues: new Map() };
   }
 
-  releaseNode(node) {
-    node.remove();
-    this.pool.push(node);
+  resize(dpr, w, h) {
+    this.w = w;
+    this.h = h;
+    this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    this.layer.width = this.canvas.width;
+    this.layer.height = this.canvas.height;
+    this.layerCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
   }
 
-  typeText(container, fullText, secondsPerChar, done) {
-    container.textContent = '';
-    const chars = Array.from(fullText);
-    let i = 0;
-    const step = () => {
-      const take = Math.max(1, Math.floor(0.016 / secondsPerChar));
-      for (let k = 0; k < take && i < chars.length; k++, i++) {
-        container.textContent += chars[i];
-      }
-      if (i < chars.length) {
-        this.typeTimer = setTimeout(step, secondsPerChar * 1000);
-      } else {
-        done && done();
-      }
+  sync() {}
+
+  // Vertical gradients for the palette at height h, cached until either changes
+  fill(p, h, key) {
+    const f = this.fills;
+    if (f.palette !== p || f.h !== h) Object.assign(f, { palette: p, h, background: null, body: null, hues: new Map() });
+    const gradient = ([top, bottom]) => {
+      if (top === bottom) return top;
+      const g = this.ctx.createLinearGradient(0, 0, 0, h);
+      g.addColorStop(0, top);
+      g.addColorStop(1, bottom);
+      return g;
     };
-    step();
+    if (key === 'background' || key === 'body') return f[key] || (f[key] = gradient(p[key]));
+    // column hue, rounded to whole degrees
+    const deg = Math.round(key * p.hueJitter);
+    if (!f.hues.has(deg)) f.hues.set(deg, gradient(p.rgb.body.map(rgb => rgbCss(hueRotate(rgb, deg)))));
+    return f.hues.get(deg);
   }
 
-  pulseHighlights(container) {
-    const words = ['age', 'job', 'emotional', 'income', 'risk'];
-    if (container.childNodes.length === 0) {
-      // Simple effect: temporarily increase opacity via parent
-      const original = container.parentElement.style.filter || '';
-      container.parentElement.style.filter = 'brightness(1.5)';
-      setTimeout(() => (container.parentElement.style.filter = original), 300);
-      return;
+  headSheet(sheet, color) {
+    const heads = this.heads;
+    if (heads.source !== sheet || heads.color !== color) {
+      const c = heads.canvas.getContext('2d');
+      heads.canvas.width = sheet.width;
+      heads.canvas.height = sheet.height;
+      c.drawImage(sheet, 0, 0);
+      c.globalCompositeOperation = 'source-in';
+      c.fillStyle = color;
+      c.fillRect(0, 0, sheet.width, sheet.height);
+      Object.assign(heads, { source: sheet, color });
     }
-    // If richer markup existed, we'd add spans. Keeping lightweight.
+    return heads.canvas;
   }
 
-  dissolve(node) {
-    // pixel scatter effect simulated by CSS opacity + translate jitter via JS
-    const start = nowMs();
-    const duration = 500;
-    const x0 = parseFloat(node.style.left);
-    const y0 = parseFloat(node.style.top);
-    const jitter = () => {
-      const t = (nowMs() - start) / duration;
-      if (t >= 1) {
-        this.active.delete(node);
-        this.releaseNode(node);
-        return;
-      }
-      const fade = 1 - t;
-      node.style.opacity = String(fade);
-      node.style.transform = `translate3d(${(Math.random()-0.5)*6}px, ${(Math.random()-0.5)*6}px, 0)`;
-      requestAnimationFrame(jitter);
-    };
-    requestAnimationFrame(jitter);
-  }
+  render(rain, code) {
+    const { ctx, layerCtx: L } = this;
+    const p = rain.palette;
+    const { w, h } = this;
+    // trail fade towards the background
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.globalAlpha = 0.18;
+    ctx.fillStyle = this.fill(p, h, 'background');
+    ctx.fillRect(0, 0, w, h);
 
-  makeSparkline(seed) {
-    // generate 10 values around seed
-    const arr = Array.from({ length: 10 }, (_, i) => clamp(Math.round(seed + (Math.random() - 0.5) * 20), 0, 100));
-    const blocks = '▁▂▃▄▅▆▇█';
-    return arr.map(v => blocks[Math.floor(v / 12.5)]).join('');
-  }
-}
+    // body glyphs: alpha into the layer, then coloured in place
+    const { canvas: sheet, cols, size: cell } = rain.sheet;
+    L.globalCompositeOperation = 'source-over';
+    L.clearRect(0, 0, w, h);
+    rain.eachGlyph(h, (x, y, gi, alpha, head, hue, size) => {
+      if (head) return;
+      L.globalAlpha = alpha;
+      L.drawImage(sheet, (gi % cols) * cell, Math.floor(gi / cols) * cell, cell, cell, x, y, size, size);
+    });
+    L.globalCompositeOperation = 'source-atop';
+    L.globalAlpha = 1;
+    L.fillStyle = this.fill(p, h, 'body');
+    L.fillRect(0, 0, w, h);
+    if (p.hueJitter) {
+      rain.eachColumn((x, width, hue) => {
+        L.fillStyle = this.fill(p, h, hue);
+        L.fillRect(x, 0, width, h);
+      });
+    }
 
-// ---------------------------- UI Bindings ---------------------------------
-const UI = (() => {
-  function bind() {
-    const qs = id => document.getElementById(id);
-    qs('density').addEventListener('input', e => { CONFIG.densityScale = parseFloat(e.target.value); rain.resetColumns(); });
-    qs('speed').addEventListener('input', e => { CONFIG.speedScale = parseFloat(e.target.value); });
-    qs('capsuleRate').addEventListener('input', e => { CONFIG.capsuleRateScale = parseFloat(e.target.value); });
-    qs('glow').addEventListener('input', e => {
-      CONFIG.glowIntensity = parseFloat(e.target.value);
-      document.documentElement.style.setProperty('--glow', CONFIG.glowIntensity.toString());
+    // glow: the layer and the heads cast it in the theme's glow colour
+    const glow = rain.glow;
+    ctx.save();
+    ctx.globalAlpha = 1;
+    ctx.shadowBlur = 8 + glow * 14;
+    ctx.shadowColor = p.glow;
+    ctx.drawImage(this.layer, 0, 0, w, h);
+    const heads = this.headSheet(sheet, p.head);
+    rain.eachGlyph(h, (x, y, gi, alpha, head, hue, size) => {
+      if (!head) return;
+      ctx.globalAlpha = alpha;
+      ctx.drawImage(heads, (gi % cols) * cell, Math.floor(gi / cols) * cell, cell, cell, x, y, size, size);
     });
-    qs('showCode').addEventListener('change', e => { CONFIG.showCode = e.target.checked; });
-    qs('showHex').addEventListener('change', e => { CONFIG.allowHexCapsules = e.target.checked; });
-    qs('theme').addEventListener('change', e => { CONFIG.theme = e.target.value; applyTheme(CONFIG.theme); });
-    qs('showFps').addEventListener('change', e => { CONFIG.showFps = e.target.checked; fpsEl.style.opacity = CONFIG.showFps ? '0.9' : '0'; });
-    qs('btnShot').addEventListener('click', screenshot);
+    ctx.restore();
 
-    // URL params presets
-    try {
-      const params = new URLSearchParams(location.search);
-      if (params.has('dense')) qs('density').value = '1.6';
-      if (params.has('fast')) qs('speed').value = '2.0';
-      if (params.has('dense')) qs('density').dispatchEvent(new Event('input'));
-      if (params.has('fast')) qs('speed').dispatchEvent(new Event('input'));
-    } catch {}
+    if (code) {
+      ctx.globalAlpha = 0.9;
+      ctx.font = `12px ui-monospace, monospace`;
+      ctx.fillStyle = p.code;
+      ctx.fillText(code.text, code.x, code.y);
+    }
   }
-  return { bind };
+}
+
+// CSS colour string -> [r, g, b] in 0..1, normalised through a 2D context
+// ('#rrggbb', or 'rgba(...)' for translucent colours, whose alpha is dropped)
+const cssColorToRgb = (() => {
+  const cache = new Map();
+  let probe = null;
+  return css => {
+    if (cache.has(css)) return cache.get(css);
+    probe = probe || document.createElement('canvas').getContext('2d');
+    probe.fillStyle = '#00ff66';
+    probe.fillStyle = css;
+    const v = String(probe.fillStyle);
+    const m = /^rgba?\((\d+),\s*(\d+),\s*(\d+)/.exec(v);
+    const hex = /^#[0-9a-f]{6}$/i.test(v) ? v : '#00ff66';
+    const rgb = m ? m.slice(1).map(n => n / 255) : [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+    cache.set(css, rgb);
+    return rgb;
+  };
 })();
 
-// ---------------------------- Screenshot ----------------------------------
-function screenshot() {
-  // Compose canvas + DOM capsules onto an offscreen canvas
-  const w = canvas.clientWidth, h = canvas.clientHeight;
-  const out = document.createElement('canvas');
-  out.width = w; out.height = h;
-  const c = out.getContext('2d');
-  // paint main canvas
-  c.drawImage(canvas, 0, 0, w, h);
-  // draw capsules as text
-  const capsules = Array.from(document.querySelectorAll('#capsules .capsule'));
-  const color = getActiveColor();
-  c.fillStyle = color;
-  c.strokeStyle = color;
-  c.shadowColor = color;
-  for (const node of capsules) {
-    const rect = node.getBoundingClientRect();
-    const left = rect.left; const top = rect.top;
-    const text = node.innerText;
-    c.globalAlpha = parseFloat(node.style.opacity || '1');
-    c.strokeRect(left, top, rect.width, rect.height);
-    c.font = '12px ui-monospace, monospace';
-    const lines = text.split('\n');
-    let y = top + 10;
-    for (const ln of lines) { y += 14; c.fillText(ln, left + 6, y); }
-  }
-  const url = out.toDataURL('image/png');
-  const a = document.createElement('a');
-  a.href = url; a.download = `profile_stream_${Date.now()}.png`; a.click();
+const GL_QUAD_VS = `#version 300 es
+uniform vec4 u_rect; // x0, y0, x1, y1 in clip space
+out vec2 v_uv;
+void main() {
+  vec2 c = vec2(gl_VertexID & 1, gl_VertexID >> 1);
+  v_uv = c;
+  gl_Position = vec4(mix(u_rect.xy, u_rect.zw, c), 0.0, 1.0);
+}`;
+
+// Textured quad; doubles as the trail fade (tint < 1 plus a small subtract so
+// 8-bit trails reach black instead of leaving ghost pixels).
+const GL_QUAD_FS = `#version 300 es
+precision mediump float;
+uniform sampler2D u_tex;
+uniform vec4 u_tint;
+uniform float u_sub;
+in vec2 v_uv;
+out vec4 o;
+void main() { o = max(texture(u_tex, v_uv) * u_tint - u_sub, 0.0); }`;
+
+// Colour per instance: body gradient (top/bottom) at the glyph's y, turned
+// about the grey axis by its column hue (degrees), or the head colour
+const GL_GLYPH_VS = `#version 300 es
+layout(location = 0) in vec2 a_corner;
+layout(location = 1) in vec4 a_inst; // x, y (css px), glyph index, alpha
+layout(location = 2) in vec3 a_tint; // hue (degrees), head (0/1), glyph size (css px)
+uniform vec2 u_view;
+uniform vec2 u_grid; // atlas cols, rows
+uniform vec3 u_top;
+uniform vec3 u_bottom;
+uniform vec3 u_head;
+out vec2 v_uv;
+out float v_alpha;
+out vec3 v_color;
+vec3 hueRotate(vec3 c, float deg) {
+  const vec3 k = vec3(0.57735);
+  float a = radians(deg);
+  return c * cos(a) + cross(k, c) * sin(a) + k * dot(k, c) * (1.0 - cos(a));
 }
+void main() {
+  vec2 p = a_inst.xy + a_corner * a_tint.z;
+  gl_Position = vec4(p.x / u_view.x * 2.0 - 1.0, 1.0 - p.y / u_view.y * 2.0, 0.0, 1.0);
+  vec2 cell = vec2(mod(a_inst.z, u_grid.x), floor(a_inst.z / u_grid.x));
+  v_uv = (cell + a_corner) / u_grid;
+  v_alpha = a_inst.w;
+  vec3 body = hueRotate(mix(u_top, u_bottom, clamp(a_inst.y / u_view.y, 0.0, 1.0)), a_tint.x);
+  v_color = mix(clamp(body, 0.0, 1.0), u_head, a_tint.y);
+}`;
 
-// ---------------------------- Ticker --------------------------------------
-const fpsEl = document.getElementById('fps');
-let last = nowMs();
-let fpsAcc = 0, fpsCount = 0;
-const rain = new MatrixRain(ctx);
-const capsules = new CapsuleManager(document.getElementById('capsules'));
+const GL_GLYPH_FS = `#version 300 es
+precision mediump float;
+uniform sampler2D u_atlas;
+in vec2 v_uv;
+in float v_alpha;
+in vec3 v_color;
+out vec4 o;
+void main() {
+  float m = texture(u_atlas, v_uv).a;
+  o = vec4(v_color * m, m) * v_alpha;
+}`;
 
-function tick() {
-  const t = nowMs();
-  const dt = Math.min(0.05, (t - last) / 1000);
-  last = t;
+// 9-tap gaussian using linear filtering (5 fetches)
+const GL_BLUR_FS = `#version 300 es
+precision mediump float;
+uniform sampler2D u_tex;
+uniform vec2 u_step;
+in vec2 v_uv;
+out vec4 o;
+void main() {
+  o = texture(u_tex, v_uv) * 0.227027;
+  o += (texture(u_tex, v_uv + u_step * 1.384615) + texture(u_tex, v_uv - u_step * 1.384615)) * 0.316216;
+  o += (texture(u_tex, v_uv + u_step * 3.230769) + texture(u_tex, v_uv - u_step * 3.230769)) * 0.070270;
+}`;
 
-  rain.update(dt);
-  rain.draw();
-  capsules.tick(dt);
+// Trails over the background gradient, plus the bloom's coverage in the
+// glow colour
+const GL_COMPOSITE_FS = `#version 300 es
+precision mediump float;
+uniform sampler2D u_scene;
+uniform sampler2D u_bloom;
+uniform float u_bloomK;
+uniform vec3 u_bgTop;
+uniform vec3 u_bgBottom;
+uniform vec3 u_glow;
+in vec2 v_uv;
+out vec4 o;
+void main() {
+  vec4 s = texture(u_scene, v_uv);
+  vec3 bg = mix(u_bgBottom, u_bgTop, v_uv.y);
+  o = vec4(bg * (1.0 - s.a) + s.rgb + u_glow * texture(u_bloom, v_uv).a * u_bloomK, 1.0);
+}`;
 
-  // FPS meter
-  fpsAcc += dt; fpsCount++;
-  if (fpsAcc >= 0.5) {
-    const fps = Math.round(fpsCount / fpsAcc);
-    if (CONFIG.showFps) fpsEl.textContent = `${fps} fps`;
-    fpsAcc = 0; fpsCount = 0;
-  }
+const GL_INSTANCE_FLOATS = 7; // a_inst + a_tint
 
-  requestAnimationFrame(tick);
+function glProgram(gl, vsSource, fsSource) {
+  const program = gl.createProgram();
+  for (const [type, src] of [[gl.VERTEX_SHADER, vsSource], [gl.FRAGMENT_SHADER, fsSource]]) {
+    const sh = gl.createShader(type);
+    gl.shaderSource(sh, src);
+    gl.compileShader(sh);
+    if (!gl.getShaderParameter(sh, gl.COMPILE_STATUS)) throw new Error(gl.getShaderInfoLog(sh));
+    gl.attachShader(program, sh);
+  }
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) throw new Error(gl.getProgramInfoLog(program));
+  const u = {};
+  const n = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+  for (let i = 0; i < n; i++) {
+    const { name } = gl.getActiveUniform(program, i);
+    u[name] = gl.getUniformLocation(program, name);
+  }
+  return { program, u };
 }
 
-// ---------------------------- Bootstrap -----------------------------------
-applyTheme(CONFIG.theme);
-initCanvas();
-UI.bind();
-requestAnimationFrame(tick);
+// WebGL2 path: glyphs as instanced quads from the atlas into a ping-ponged
+// trail buffer (fade in a shader), a half-res separable blur for bloom, then
+// a composite to the screen. Software WebGL is allowed
+// (failIfMajorPerformanceCaveat: false) so GPU-less boxes still get it.
+// When create() returns null, `WebGLRenderer.failure` says why.
+class WebGLRenderer {
+  static create(canvas) {
+    const gl = canvas.getContext('webgl2', {
+      alpha: false,
+      antialias: false,
+      preserveDrawingBuffer: true, // screenshot/recorder read the canvas later
+      failIfMajorPerformanceCaveat: false,
+    });
+    WebGLRenderer.failure = gl ? '' : 'no WebGL2';
+    if (!gl) return null;
+    try {
+      return new WebGLRenderer(canvas, gl);
+    } catch (e) {
+      WebGLRenderer.failure = `WebGL init failed: ${e.message}`;
+      return null;
+    }
+  }
+
+  constructor(canvas, gl) {
+    this.kind = 'webgl';
+    this.note = '';
+    this.canvas = canvas;
+    this.gl = gl;
+    this.quad = glProgram(gl, GL_QUAD_VS, GL_QUAD_FS);
+    this.glyph = glProgram(gl, GL_GLYPH_VS, GL_GLYPH_FS);
+    this.blur = glProgram(gl, GL_QUAD_VS, GL_BLUR_FS);
+    this.composite = glProgram(gl, GL_QUAD_VS, GL_COMPOSITE_FS);
+    this.emptyVao = gl.createVertexArray();
+
+    // glyph VAO: shared unit quad + per-instance vec4 and vec3
+    this.glyphVao = gl.createVertexArray();
+    gl.bindVertexArray(this.glyphVao);
+    gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([0, 0, 1, 0, 0, 1, 1, 1]), gl.STATIC_DRAW);
+    gl.enableVertexAttribArray(0);
+    gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+    this.instanceBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+    gl.enableVertexAttribArray(1);
+    gl.vertexAttribPointer(1, 4, gl.FLOAT, false, GL_INSTANCE_FLOATS * 4, 0);
+    gl.vertexAttribDivisor(1, 1);
+    gl.enableVertexAttribArray(2);
+    gl.vertexAttribPointer(2, 3, gl.FLOAT, false, GL_INSTANCE_FLOATS * 4, 16);
+    gl.vertexAttribDivisor(2, 1);
+    gl.bindVertexArray(null);
+    this.instances = new Float32Array(GL_INSTANCE_FLOATS * 2048); // grows by doubling, reused per frame
+
+    this.atlas = this.texture();
+    this.atlasSource = null;
+    this.codeCanvas = makeCanvas();
+    this.codeTex = this.texture();
+    this.targets = null;
+    this.flip = 0;
+    this.w = 0; // css px, from resize()
+    this.h = 0;
+    if (gl.getError() !== gl.NO_ERROR) throw new Error('GL error during setup');
+  }
+
+  texture() {
+    const { gl } = this;
+    const tex = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return tex;
+  }
+
+  target(w, h) {
+    const { gl } = this;
+    const tex = this.texture();
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, w, h, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    const fbo = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tex, 0);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    return { tex, fbo, w, h };
+  }
+
+  resize(dpr, w = this.w, h = this.h) {
+    const { gl } = this;
+    this.w = w;
+    this.h = h;
+    if (this.targets) {
+      for (const t of Object.values(this.targets).flat()) {
+        gl.deleteTexture(t.tex);
+        gl.deleteFramebuffer(t.fbo);
+      }
+    }
+    const W = this.canvas.width, H = this.canvas.height;
+    const bw = Math.max(1, W >> 1), bh = Math.max(1, H >> 1);
+    this.targets = { trail: [this.target(W, H), this.target(W, H)], bloom: [this.target(bw, bh), this.target(bw, bh)] };
+  }
+
+  sync() { this.gl.finish(); }
+
+  upload(tex, source, flipY) {
+    const { gl } = this;
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, flipY);
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+  }
+
+  pass(prog, target, rect = [-1, -1, 1, 1]) {
+    const { gl } = this;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.fbo : null);
+    gl.viewport(0, 0, target ? target.w : this.canvas.width, target ? target.h : this.canvas.height);
+    gl.useProgram(prog.program);
+    gl.uniform4fv(prog.u.u_rect, rect);
+  }
+
+  bindTex(unit, tex, loc) {
+    const { gl } = this;
+    gl.activeTexture(gl.TEXTURE0 + unit);
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+    gl.uniform1i(loc, unit);
+  }
+
+  drawQuad() {
+    const { gl } = this;
+    gl.bindVertexArray(this.emptyVao);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+  }
+
+  render(rain, code) {
+    const { gl } = this;
+    if (!this.targets) this.resize();
+    if (this.atlasSource !== rain.sheet.canvas) {
+      this.atlasSource = rain.sheet.canvas;
+      this.upload(this.atlas, this.atlasSource, false);
+    }
+    const { rgb } = rain.palette;
+    const { w, h } = this;
+    const src = this.targets.trail[this.flip];
+    const dst = this.targets.trail[1 - this.flip];
+    this.flip = 1 - this.flip;
+
+    // 1. trail fade: previous frame * (1 - 0.18) into the other buffer
+    gl.disable(gl.BLEND);
+    this.pass(this.quad, dst);
+    this.bindTex(0, src.tex, this.quad.u.u_tex);
+    gl.uniform4f(this.quad.u.u_tint, 0.82, 0.82, 0.82, 0.82);
+    gl.uniform1f(this.quad.u.u_sub, 1 / 255);
+    this.drawQuad();
+
+    // 2. glyph instances, premultiplied source-over
+    const count = this.fillInstances(rain, h);
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    gl.useProgram(this.glyph.program);
+    this.bindTex(0, this.atlas, this.glyph.u.u_atlas);
+    gl.uniform2f(this.glyph.u.u_view, w, h);
+    gl.uniform2f(this.glyph.u.u_grid, rain.sheet.cols, rain.sheet.rows);
+    gl.uniform3fv(this.glyph.u.u_top, rgb.body[0]);
+    gl.uniform3fv(this.glyph.u.u_bottom, rgb.body[1]);
+    gl.uniform3fv(this.glyph.u.u_head, rgb.head);
+    gl.bindVertexArray(this.glyphVao);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, this.instances.subarray(0, count * GL_INSTANCE_FLOATS), gl.STREAM_DRAW);
+    gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, count);
+
+    // 3. code noise: text rasterised once by 2D, stamped into the trail
+    if (code) this.drawCode(code, rgb.code, w, h, dst);
+
+    // 4. bloom: horizontal blur at half res, then vertical
+    gl.disable(gl.BLEND);
+    const [ba, bb] = this.targets.bloom;
+    this.pass(this.blur, ba);
+    this.bindTex(0, dst.tex, this.blur.u.u_tex);
+    gl.uniform2f(this.blur.u.u_step, 3 / dst.w, 0); // 1.5 half-res texels
+    this.drawQuad();
+    this.pass(this.blur, bb);
+    this.bindTex(0, ba.tex, this.blur.u.u_tex);
+    gl.uniform2f(this.blur.u.u_step, 0, 1.5 / ba.h);
+    this.drawQuad();
+
+    // 5. composite to screen
+    this.pass(this.composite, null);
+    this.bindTex(0, dst.tex, this.composite.u.u_scene);
+    this.bindTex(1, bb.tex, this.composite.u.u_bloom);
+    gl.uniform1f(this.composite.u.u_bloomK, 0.3 + rain.glow * 1.4);
+    gl.uniform3fv(this.composite.u.u_bgTop, rgb.background[0]);
+    gl.uniform3fv(this.composite.u.u_bgBottom, rgb.background[1]);
+    gl.uniform3fv(this.composite.u.u_glow, rgb.glow);
+    this.drawQuad();
+  }
+
+  // Packs visible glyphs as [x, y, glyph, alpha, hue, head, size]; returns
+  // the instance count
+  fillInstances(rain, h) {
+    const n = rain.glyphCount * GL_INSTANCE_FLOATS;
+    if (n > this.instances.length) {
+      let cap = this.instances.length;
+      while (cap < n) cap *= 2;
+      this.instances = new Float32Array(cap);
+    }
+    const out = this.instances;
+    const jitter = rain.palette.hueJitter;
+    let k = 0;
+    rain.eachGlyph(h, (x, y, gi, alpha, head, hue, size) => {
+      out[k++] = x;
+      out[k++] = y;
+      out[k++] = gi;
+      out[k++] = alpha;
+      out[k++] = hue * jitter;
+      out[k++] = head ? 1 : 0;
+      out[k++] = size;
+    });
+    return k / GL_INSTANCE_FLOATS;
+  }
+
+  drawCode(code, rgb, w, h, target) {
+    const { gl } = this;
+    const dpr = this.canvas.width / Math.max(1, w);
+    const c = this.codeCanvas.getContext('2d');
+    const font = '12px ui-monospace, monospace';
+    c.font = font;
+    const tw = Math.ceil(c.measureText(code.text).width) + 2;
+    this.codeCanvas.width = Math.ceil(tw * dpr);
+    this.codeCanvas.height = Math.ceil(16 * dpr);
+    c.setTransform(dpr, 0, 0, dpr, 0, 0);
+    c.font = font;
+    c.fillStyle = '#fff';
+    c.textBaseline = 'alphabetic';
+    c.fillText(code.text, 0, 12);
+    this.upload(this.codeTex, this.codeCanvas, true);
+    // fillText draws at the baseline; the sprite's baseline sits 12px down
+    const x0 = code.x / w * 2 - 1, x1 = (code.x + tw) / w * 2 - 1;
+    const y0 = 1 - (code.y + 4) / h * 2, y1 = 1 - (code.y - 12) / h * 2;
+    this.pass(this.quad, target, [x0, y0, x1, y1]);
+    this.bindTex(0, this.codeTex, this.quad.u.u_tex);
+    gl.uniform4f(this.quad.u.u_tint, rgb[0] * 0.9, rgb[1] * 0.9, rgb[2] * 0.9, 0.9);
+    gl.uniform1f(this.quad.u.u_sub, 0);
+    this.drawQuad();
+  }
+}
+
+// Draws on an OffscreenCanvas in a Worker; the simulation stays on this
+// thread. Each frame posts the visible glyphs as [x, y, glyph, alpha, head,
+// hue, size] floats, the column bands as [x, width, hue], glow and code
+// noise, plus the palette and atlas when they change. The worker runs a
+// WebGLRenderer (or Canvas2DRenderer) on a stand-in for the rain. The arrays
+// are transferred and come back with 'done', so frames are skipped, not
+// queued, while the worker is busy. When create() returns null,
+// `WorkerRenderer.failure` says why; a worker that dies, can't set up its
+// renderer or loses the WebGL context fires 'rendererfailed' (detail: the
+// message) on the canvas.
+const WORKER_GLYPH_FLOATS = 7;
+
+class WorkerRenderer {
+  static create(canvas) {
+    WorkerRenderer.failure = '';
+    if (!window.Worker || !window.OffscreenCanvas || !canvas.transferControlToOffscreen) {
+      WorkerRenderer.failure = 'no OffscreenCanvas worker';
+      return null;
+    }
+    try {
+      return new WorkerRenderer(canvas);
+    } catch (e) {
+      WorkerRenderer.failure = `worker unavailable: ${e.message}`;
+      return null;
+    }
+  }
+
+  constructor(canvas) {
+    this.kind = 'worker';
+    this.note = '';
+    this.canvas = canvas;
+    this.worker = new Worker(rainWorkerUrl()); // before the transfer: a throw leaves the canvas usable
+    const offscreen = canvas.transferControlToOffscreen();
+    transferredCanvases.set(canvas, [canvas.width, canvas.height]);
+    this.worker.onmessage = e => {
+      if (e.data.type === 'failed') canvas.dispatchEvent(new CustomEvent('rendererfailed', { detail: e.data.message }));
+      else this.done(e.data);
+    };
+    this.worker.onerror = e => canvas.dispatchEvent(new CustomEvent('rendererfailed', { detail: e.message || 'error' }));
+    this.worker.postMessage({ type: 'init', canvas: offscreen }, [offscreen]);
+    this.glyphs = new Float32Array(WORKER_GLYPH_FLOATS * 2048);
+    this.bands = new Float32Array(3 * 256);
+    this.busy = false;
+    this.sheet = null; // last atlas and palette sent
+    this.palette = null;
+    this.h = 0;
+  }
+
+  resize(dpr, w, h) {
+    const [width, height] = backingSize(this.canvas);
+    this.h = h;
+    this.worker.postMessage({ type: 'resize', width, height, dpr, w, h });
+  }
+
+  sync() {} // no way to wait on the worker's GPU
+
+  dispose() { this.worker.terminate(); }
+
+  done({ glyphs, bands }) {
+    this.glyphs = glyphs;
+    this.bands = bands;
+    this.busy = false;
+  }
+
+  sendSheet(sheet) {
+    this.sheet = sheet;
+    createImageBitmap(sheet.canvas).then(bitmap => {
+      if (this.sheet !== sheet) return bitmap.close(); // already rebuilt
+      this.worker.postMessage({ type: 'sheet', bitmap, cols: sheet.cols, rows: sheet.rows, size: sheet.size }, [bitmap]);
+    }, () => {});
+  }
+
+  render(rain, code) {
+    if (this.busy) return;
+    if (rain.sheet !== this.sheet) this.sendSheet(rain.sheet);
+    const fit = (arr, n) => arr.length >= n ? arr : new Float32Array(Math.max(n, arr.length * 2));
+    const g = this.glyphs = fit(this.glyphs, rain.glyphCount * WORKER_GLYPH_FLOATS);
+    const b = this.bands = fit(this.bands, rain.columns.length * 3);
+    let k = 0, n = 0;
+    rain.eachGlyph(this.h, (x, y, gi, alpha, head, hue, size) => {
+      g[k++] = x;
+      g[k++] = y;
+      g[k++] = gi;
+      g[k++] = alpha;
+      g[k++] = head ? 1 : 0;
+      g[k++] = hue;
+      g[k++] = size;
+    });
+    rain.eachColumn((x, width, hue) => {
+      b[n++] = x;
+      b[n++] = width;
+      b[n++] = hue;
+    });
+    const msg = { type: 'frame', glyphs: g, glyphCount: k / WORKER_GLYPH_FLOATS, bands: b, bandCount: n / 3, glow: rain.glow, code };
+    if (rain.palette !== this.palette) msg.palette = this.palette = rain.palette;
+    this.busy = true;
+    this.worker.postMessage(msg, [g.buffer, b.buffer]);
+  }
+}
+
+// Worker entry point; runs in the worker's scope (see rainWorkerUrl()).
+// `frame` has what the renderers read from a MatrixRain. A WebGL init that
+// fails after claiming the canvas leaves no 2D fallback here (the page clones
+// its canvas for that), so the worker reports 'failed' and the page moves on.
+function rainWorkerMain() {
+  let renderer = null;
+  const frame = {
+    sheet: null, palette: null, glow: 0, glyphs: null, glyphCount: 0, bands: null, bandCount: 0,
+    eachGlyph(h, fn) {
+      const g = this.glyphs;
+      for (let i = 0, k = 0; i < this.glyphCount; i++, k += WORKER_GLYPH_FLOATS) {
+        fn(g[k], g[k + 1], g[k + 2], g[k + 3], g[k + 4] > 0, g[k + 5], g[k + 6]);
+      }
+    },
+    eachColumn(fn) {
+      const b = this.bands;
+      for (let i = 0; i < this.bandCount * 3; i += 3) fn(b[i], b[i + 1], b[i + 2]);
+    },
+  };
+  const fail = message => {
+    renderer = null;
+    self.postMessage({ type: 'failed', message });
+  };
+  self.onmessage = ({ data: m }) => {
+    if (m.type === 'init') {
+      renderer = WebGLRenderer.create(m.canvas);
+      if (!renderer && WebGLRenderer.failure !== 'no WebGL2') return fail(WebGLRenderer.failure);
+      if (!renderer) renderer = new Canvas2DRenderer(m.canvas);
+      else m.canvas.addEventListener('webglcontextlost', e => {
+        e.preventDefault();
+        fail('WebGL context lost');
+      });
+    } else if (!renderer) {
+      return; // failed; the page is replacing this worker
+    } else if (m.type === 'resize') {
+      renderer.canvas.width = m.width;
+      renderer.canvas.height = m.height;
+      renderer.resize(m.dpr, m.w, m.h);
+    } else if (m.type === 'sheet') {
+      if (frame.sheet) frame.sheet.canvas.close();
+      frame.sheet = { canvas: m.bitmap, cols: m.cols, rows: m.rows, size: m.size };
+    } else if (m.type === 'frame') {
+      if (m.palette) frame.palette = m.palette;
+      Object.assign(frame, { glyphs: m.glyphs, glyphCount: m.glyphCount, bands: m.bands, bandCount: m.bandCount, glow: m.glow });
+      if (frame.sheet && frame.palette) renderer.render(frame, m.code);
+      self.postMessage({ glyphs: m.glyphs, bands: m.bands }, [m.glyphs.buffer, m.bands.buffer]);
+    }
+  };
+}
+
+// Blob URL for the render worker: the renderers and their helpers as source
+// text, so the app stays a single file
+let rainWorkerBlobUrl = '';
+function rainWorkerUrl() {
+  if (rainWorkerBlobUrl) return rainWorkerBlobUrl;
+  const consts = { GL_QUAD_VS, GL_QUAD_FS, GL_GLYPH_VS, GL_GLYPH_FS, GL_BLUR_FS, GL_COMPOSITE_FS, GL_INSTANCE_FLOATS, WORKER_GLYPH_FLOATS };
+  const code = [clamp, rgbCss, hueRotate, makeCanvas, glProgram, Canvas2DRenderer, WebGLRenderer, rainWorkerMain];
+  const src = [
+    ...Object.entries(consts).map(([name, v]) => `const ${name} = ${JSON.stringify(v)};`),
+    ...code.map(fn => `const ${fn.name} = ${fn};`),
+    'rainWorkerMain();',
+  ].join('\n');
+  return (rainWorkerBlobUrl = URL.createObjectURL(new Blob([src], { type: 'text/javascript' })));
+}
+
+// Renderer for `kind` (auto | webgl | 2d | worker) on a context-free canvas
+// `cv`. Returns [renderer, canvas]: WebGL failures fall back to Canvas2D on a
+// clone, since the failed attempt may have claimed a context; without
+// OffscreenCanvas/Worker support 'worker' is 'auto'. A fallback sets the
+// renderer's `note` (shown in the renderer status).
+function createRenderer(kind, cv) {
+  let note = '';
+  if (kind === 'worker') {
+    const worker = WorkerRenderer.create(cv);
+    if (worker) return [worker, cv];
+    note = WorkerRenderer.failure;
+    kind = 'auto';
+  }
+  const renderer = kind === '2d' ? null : WebGLRenderer.create(cv);
+  if (renderer) {
+    renderer.note = note;
+    return [renderer, cv];
+  }
+  if (kind === '2d') return [new Canvas2DRenderer(cv), cv];
+  const fresh = cv.cloneNode(false);
+  cv.replaceWith(fresh);
+  const fallback = new Canvas2DRenderer(fresh);
+  fallback.note = [note, WebGLRenderer.failure].filter(Boolean).join('; ');
+  return [fallback, fresh];
+}
+
+// Page renderer: a fresh canvas every time, handed to the rain
+function setRenderer(kind) {
+  if (rain.renderer && rain.renderer.dispose) rain.renderer.dispose();
+  const fresh = canvas.cloneNode(false);
+  canvas.replaceWith(fresh);
+  let renderer;
+  [renderer, canvas] = createRenderer(kind, fresh);
+  canvas.addEventListener('webglcontextlost', e => {
+    e.preventDefault();
+    setRenderer('2d').note = 'WebGL context lost';
+  });
+  canvas.addEventListener('rendererfailed', e => { setRenderer('auto').note = `worker failed: ${e.detail}`; });
+  rain.renderer = renderer;
+  rain.canvas = canvas;
+  resizeCanvas();
+  return renderer;
+}
+
+// ---------------------------- Profile Factory -----------------------------
+// Records are generated from a declarative schema; DEFAULT_SCHEMA reproduces
+// the original people profiles. Field types:
+// - id:        random base36 groups, `parts: [6, 4]` -> 'k3x9qa-7fz2'
+// - enum:      `values` as a list, [value, weight] pairs or { value: weight }
+// - int:       inclusive `min`..`max`
+// - number:    uniform `min`..`max`, or `distribution: 'normal'` + mean/sd
+// - bool:      true with probability `p`
+// - set:       `min`..`max` distinct picks from `values`
+// - template:  'text {field} {other}' built from earlier fields
+// - timestamp: ISO time `agoMs: [min, max]` before now
+// - const:     fixed `value`
+// int/number also accept `by` + `ranges` (min/max keyed by an earlier field's
+// value), `rules`, `round` (step) and `clamp: [lo, hi]`, applied in that order.
+// A rule is `{ when?: [field, op, value], add?: n | { lookup, map }, mul?: n }`.
+// `hidden: true` computes a field for later ones but leaves it out of records.
+const DEFAULT_SCHEMA = {
+  name: 'profile',
+  fields: [
+    { name: 'id', type: 'id', parts: [6, 4] },
+    { name: 'first', type: 'enum', hidden: true, values: ['Ava','Mia','Liam','Noah','Emma','Oliver','Lucas','Amelia','Ethan','Sofia','Zoe','Kai','Nina','Leo','Isla','Maya','Ezra','Ivy','Mila','Aria','Theo','Luna','Finn','Mason','Iris'] },
+    { name: 'last', type: 'enum', hidden: true, values: ['Kim','Lee','Nguyen','Patel','Garcia','Chen','Smith','Khan','Mori','Silva','Rossi','Santos','Brown','Martin','Lopez','Wilson','Dubois','Kowalski'] },
+    { name: 'name', type: 'template', template: '{first} {last}' },
+    { name: 'age', type: 'int', min: 18, max: 69 },
+    { name: 'gender', type: 'enum', values: ['female','male','non-binary'] },
+    { name: 'job_title', type: 'enum', values: ['Engineer','Designer','Data Scientist','Analyst','PM','Researcher','Nurse','Teacher','Marketer','Artist','Security','Pilot'] },
+    { name: 'industry', type: 'enum', values: ['Finance','Healthcare','Tech','Education','Retail','Energy','Gaming','Media','Gov','Aerospace'] },
+    {
+      name: 'income_usd', type: 'number', min: 40000, max: 120000, round: 1000, by: 'industry',
+      ranges: {
+        Tech: [80000, 220000], Finance: [70000, 250000], Healthcare: [50000, 180000],
+        Education: [35000, 120000], Retail: [30000, 90000], Energy: [60000, 200000],
+        Gaming: [45000, 150000], Media: [40000, 140000], Gov: [40000, 120000], Aerospace: [70000, 210000],
+      },
+    },
+    { name: 'education', type: 'enum', values: ['HS','Associate','BSc','MSc','PhD'] },
+    { name: 'location_city', type: 'enum', values: ['New York','Berlin','Tokyo','Seoul','Toronto','Paris','Madrid','Sydney','Sao Paulo','Nairobi','Dublin','Singapore'] },
+    { name: 'relationship_status', type: 'enum', values: ['single','dating','married','complicated'] },
+    {
+      name: 'emotional_state', type: 'enum',
+      values: { focused: 3, stressed: 2, curious: 3, flow: 2, burnout: 1, optimistic: 2, calm: 2, distracted: 1 },
+    },
+    { name: 'activity', type: 'enum', values: ['browsing','coding','commuting','meeting','streaming','learning','exercising','shopping'] },
+    { name: 'interests', type: 'set', min: 2, max: 5, values: ['climbing','reading','ai','music','crypto','gardening','photography','biking','chess','vr','cooking','yoga','travel','gaming'] },
+    {
+      name: 'risk_score', type: 'number', min: 10, max: 90, round: 1, clamp: [0, 100],
+      rules: [
+        { when: ['income_usd', '>', 150000], add: -10 },
+        { when: ['income_usd', '<', 40000], add: 10 },
+        {
+          add: {
+            lookup: 'emotional_state',
+            map: { burnout: 15, stressed: 10, distracted: 8, focused: -5, calm: -5, flow: -8, optimistic: -3, curious: 0 },
+          },
+        },
+      ],
+    },
+    { name: 'last_active', type: 'timestamp', agoMs: [0, 3600000] },
+  ],
+};
+
+// Alternative record shapes offered in the schema editor
+const SCHEMA_PRESETS = {
+  profile: DEFAULT_SCHEMA,
+  iot: {
+    name: 'iot',
+    fields: [
+      { name: 'device_id', type: 'id', parts: [4, 4] },
+      { name: 'kind', type: 'enum', values: { thermostat: 3, camera: 2, meter: 2, gateway: 1 } },
+      { name: 'site', type: 'enum', values: ['plant-a', 'plant-b', 'warehouse', 'hq'] },
+      { name: 'temperature_c', type: 'number', distribution: 'normal', mean: 22, sd: 4, round: 0.1, rules: [{ when: ['kind', '==', 'gateway'], add: 8 }] },
+      { name: 'battery_pct', type: 'int', min: 0, max: 100 },
+      { name: 'online', type: 'bool', p: 0.93 },
+      { name: 'ts', type: 'timestamp', agoMs: [0, 60000] },
+    ],
+  },
+  transactions: {
+    name: 'transactions',
+    fields: [
+      { name: 'txn_id', type: 'id', parts: [8, 4] },
+      { name: 'merchant', type: 'enum', values: ['Kiosk 42', 'Nimbus Air', 'Grocer & Co', 'ByteShop', 'Metro Transit', 'Cafe Lumen'] },
+      { name: 'category', type: 'enum', values: { food: 4, travel: 1, electronics: 1, transit: 3, retail: 2 } },
+      { name: 'amount_usd', type: 'number', distribution: 'normal', mean: 60, sd: 45, clamp: [1, 5000], round: 0.01, rules: [{ when: ['category', 'in', ['travel', 'electronics']], mul: 8 }] },
+      { name: 'currency', type: 'const', value: 'USD' },
+      { name: 'card_present', type: 'bool', p: 0.7 },
+      {
+        name: 'fraud_score', type: 'int', min: 0, max: 60, clamp: [0, 100],
+        rules: [{ when: ['amount_usd', '>', 500], add: 25 }, { when: ['card_present', '==', false], add: 15 }],
+      },
+      { name: 'ts', type: 'timestamp', agoMs: [0, 5000] },
+    ],
+  },
+  server: {
+    name: 'server',
+    fields: [
+      { name: 'event_id', type: 'id', parts: [6, 6] },
+      { name: 'node', type: 'int', min: 1, max: 12, hidden: true },
+      { name: 'host', type: 'template', template: 'web-{node}.prod' },
+      { name: 'service', type: 'enum', values: ['api', 'auth', 'search', 'billing', 'media'] },
+      { name: 'level', type: 'enum', values: { info: 8, warn: 3, error: 1 } },
+      { name: 'status', type: 'int', min: 200, max: 204, rules: [{ when: ['level', '==', 'warn'], add: 229 }, { when: ['level', '==', 'error'], add: 300 }] },
+      { name: 'latency_ms', type: 'number', distribution: 'normal', mean: 120, sd: 60, clamp: [1, 10000], round: 1, rules: [{ when: ['level', '!=', 'info'], mul: 3 }] },
+      { name: 'path', type: 'enum', values: ['/v1/users', '/v1/search', '/v1/pay', '/healthz', '/v1/upload'] },
+      { name: 'ts', type: 'timestamp', agoMs: [0, 2000] },
+    ],
+  },
+};
+
+const ProfileFactory = (() => {
+  const rng = RNG.profiles;
+  const id36 = n => Array.from({ length: n }, () => randi(0, 36, rng).toString(36)).join('');
+  const TYPES = ['id', 'enum', 'int', 'number', 'bool', 'set', 'template', 'timestamp', 'const'];
+  const OPS = {
+    '>': (a, b) => a > b, '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b, '<=': (a, b) => a <= b,
+    '==': (a, b) => a === b, '!=': (a, b) => a !== b,
+    in: (a, b) => Array.isArray(b) && b.includes(a),
+  };
+  const isNum = v => typeof v === 'number' && Number.isFinite(v);
+  const isRange = r => Array.isArray(r) && r.length === 2 && isNum(r[0]) && isNum(r[1]) && r[0] <= r[1];
+
+  let schema = DEFAULT_SCHEMA;
+  let fields = [];
+
+  // enum values in any of the three accepted shapes -> [value, weight] pairs
+  function weightPairs(values) {
+    if (Array.isArray(values)) return values.map(v => (Array.isArray(v) ? v : [v, 1]));
+    return isRecord(values) ? Object.entries(values) : [];
+  }
+
+  // Returns a list of human-readable problems; empty means the schema is usable
+  function validate(s) {
+    if (!isRecord(s) || !Array.isArray(s.fields) || s.fields.length === 0) {
+      return ['schema must be an object with a non-empty "fields" array'];
+    }
+    const errors = [];
+    const seen = new Set();
+    s.fields.forEach((f, i) => {
+      const at = `fields[${i}]${f && f.name ? ` (${f.name})` : ''}`;
+      const err = msg => errors.push(`${at}: ${msg}`);
+      const earlier = name => (seen.has(name) ? true : (err(`"${name}" must name an earlier field`), false));
+      if (!isRecord(f)) return err('must be an object');
+      if (typeof f.name !== 'string' || !f.name) return err('needs a "name"');
+      if (seen.has(f.name)) err('duplicate name');
+      if (!TYPES.includes(f.type)) err(`unknown type "${f.type}" (expected ${TYPES.join(', ')})`);
+
+      if (f.type === 'enum') {
+        const pairs = weightPairs(f.values);
+        if (pairs.length === 0) err('"values" must be a non-empty list or { value: weight } map');
+        else if (pairs.some(([, w]) => !isNum(w) || w < 0)) err('weights must be non-negative numbers');
+        else if (pairs.reduce((sum, [, w]) => sum + w, 0) <= 0) err('weights must not all be zero');
+      } else if (f.type === 'int' || f.type === 'number') {
+        if (f.distribution === 'normal') {
+          if (!isNum(f.mean) || !isNum(f.sd) || f.sd < 0) err('normal distribution needs numeric "mean" and "sd" >= 0');
+        } else if (f.distribution !== undefined && f.distribution !== 'uniform') {
+          err(`unknown distribution "${f.distribution}"`);
+        } else if (!isRange([f.min, f.max])) {
+          err('needs numeric "min" <= "max"');
+        }
+        if (f.by !== undefined && earlier(f.by)) {
+          if (!isRecord(f.ranges)) err('"by" needs a "ranges" map');
+          else for (const [k, r] of Object.entries(f.ranges)) if (!isRange(r)) err(`ranges.${k} must be [min, max]`);
+        }
+        if (f.round !== undefined && (!isNum(f.round) || f.round <= 0)) err('"round" must be a positive step');
+        if (f.clamp !== undefined && !isRange(f.clamp)) err('"clamp" must be [lo, hi]');
+        if (f.rules !== undefined && !Array.isArray(f.rules)) err('"rules" must be a list');
+        (Array.isArray(f.rules) ? f.rules : []).forEach((r, j) => {
+          if (!isRecord(r)) return err(`rules[${j}] must be an object`);
+          if (r.when !== undefined) {
+            if (!Array.isArray(r.when) || r.when.length !== 3 || !Object.hasOwn(OPS, r.when[1])) {
+              err(`rules[${j}].when must be [field, op, value] with op in ${Object.keys(OPS).join(' ')}`);
+            } else earlier(r.when[0]);
+          }
+          if (isRecord(r.add)) {
+            if (earlier(r.add.lookup) && (!isRecord(r.add.map) || !Object.values(r.add.map).every(isNum))) {
+              err(`rules[${j}].add.map must map values to numbers`);
+            }
+          } else if (r.add !== undefined && !isNum(r.add)) err(`rules[${j}].add must be a number or { lookup, map }`);
+          if (r.mul !== undefined && !isNum(r.mul)) err(`rules[${j}].mul must be a number`);
+        });
+      } else if (f.type === 'bool') {
+        if (f.p !== undefined && (!isNum(f.p) || f.p < 0 || f.p > 1)) err('"p" must be within 0..1');
+      } else if (f.type === 'set') {
+        if (!Array.isArray(f.values) || f.values.length === 0) err('"values" must be a non-empty list');
+        else if (!isRange([f.min, f.max]) || f.min < 0 || f.max > f.values.length) err(`needs 0 <= "min" <= "max" <= ${f.values.length}`);
+      } else if (f.type === 'template') {
+        if (typeof f.template !== 'string') err('"template" must be a string');
+        else for (const [, name] of f.template.matchAll(/\{(\w+)\}/g)) earlier(name);
+      } else if (f.type === 'timestamp') {
+        if (f.agoMs !== undefined && (!isRange(f.agoMs) || f.agoMs[0] < 0)) err('"agoMs" must be [min, max] >= 0');
+      } else if (f.type === 'const') {
+        if (!('value' in f)) err('needs a "value"');
+      } else if (f.type === 'id') {
+        if (f.parts !== undefined && (!Array.isArray(f.parts) || !f.parts.every(n => Number.isInteger(n) && n > 0))) {
+          err('"parts" must be a list of positive integers');
+        }
+      }
+      seen.add(f.name);
+    });
+    return errors;
+  }
+
+  function compile(s) {
+    return s.fields.map(f => (f.type === 'enum' ? { ...f, pairs: weightPairs(f.values) } : f));
+  }
+
+  function normal(mean, sd) {
+    // Box-Muller; 1 - u keeps log() away from zero
+    const u = 1 - rng.next();
+    const v = rng.next();
+    return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  function roundTo(v, step) {
+    const decimals = (String(step).split('.')[1] || '').length;
+    return Number((Math.round(v / step) * step).toFixed(decimals));
+  }
+
+  function numeric(f, rec) {
+    const [min, max] = (f.by !== undefined && f.ranges[rec[f.by]]) || [f.min, f.max];
+    let v;
+    if (f.distribution === 'normal') v = normal(f.mean, f.sd);
+    else if (f.type === 'int') v = randi(min, max + 1, rng);
+    else v = rand(min, max, rng);
+    for (const r of f.rules || []) {
+      if (r.when && !OPS[r.when[1]](rec[r.when[0]], r.when[2])) continue;
+      if (isRecord(r.add)) v += r.add.map[rec[r.add.lookup]] || 0;
+      else if (r.add !== undefined) v += r.add;
+      if (r.mul !== undefined) v *= r.mul;
+    }
+    if (f.round !== undefined) v = roundTo(v, f.round);
+    else if (f.type === 'int') v = Math.round(v);
+    if (f.clamp) v = clamp(v, f.clamp[0], f.clamp[1]);
+    return v;
+  }
+
+  function draw(f, rec) {
+    switch (f.type) {
+      case 'id': return (f.parts || [6, 4]).map(id36).join('-');
+      case 'enum': return weightedChoice(f.pairs, rng);
+      case 'int':
+      case 'number': return numeric(f, rec);
+      case 'bool': return rng.next() < (f.p === undefined ? 0.5 : f.p);
+      case 'set': return shuffle([...f.values], rng).slice(0, randi(f.min, f.max + 1, rng));
+      case 'template': return f.template.replace(/\{(\w+)\}/g, (_, k) => rec[k]);
+      case 'timestamp': {
+        const [lo, hi] = f.agoMs || [0, 3600000];
+        return new Date(Date.now() - randi(lo, hi, rng)).toISOString();
+      }
+      case 'const': return f.value;
+    }
+  }
+
+  function generate() {
+    const all = {};
+    const record = {};
+    for (const f of fields) {
+      all[f.name] = draw(f, all);
+      if (!f.hidden) record[f.name] = all[f.name];
+    }
+    return record;
+  }
+
+  // Swaps the active schema if it validates; returns the problems otherwise
+  function setSchema(next) {
+    const errors = validate(next);
+    if (errors.length === 0) {
+      schema = next;
+      fields = compile(next);
+    }
+    return errors;
+  }
+
+  function getSchema() { return schema; }
+
+  // Name of the schema's first visible id field (device_id, txn_id, ...)
+  function idField() {
+    const f = schema.fields.find(f => f.type === 'id' && !f.hidden);
+    return f ? f.name : 'id';
+  }
+
+  fields = compile(schema);
+  return { generate, setSchema, getSchema, validate, idField };
+})();
+
+// ---------------------------- Data Sources --------------------------------
+// A source feeds records to the CapsuleManager. Pull sources implement
+// `next()` and are polled by the spawn timer; push sources call
+// `feed.push(raw)` as records arrive and the manager drains the backlog as
+// capsule slots free up. Optional `tick(dt)` runs every frame; `status` is a
+// short string shown in the panel.
+
+// Accepts a JSON array, a single JSON object or NDJSON (one object per line).
+function parseRecords(text) {
+  const records = [];
+  const errors = [];
+  const body = String(text).trim();
+  if (!body) return { records, errors };
+  try {
+    const v = JSON.parse(body);
+    for (const r of Array.isArray(v) ? v : [v]) {
+      if (isRecord(r)) records.push(r);
+      else errors.push(`not an object: ${JSON.stringify(r).slice(0, 40)}`);
+    }
+    return { records, errors };
+  } catch {}
+  body.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      const v = JSON.parse(line);
+      if (isRecord(v)) records.push(v);
+      else errors.push(`line ${i + 1}: not an object`);
+    } catch (e) {
+      errors.push(`line ${i + 1}: ${e.message}`);
+    }
+  });
+  return { records, errors };
+}
+
+// Bounded backlog between push sources and the capsule layer. Oldest records
+// are dropped first so a firehose can't grow memory without limit.
+class RecordFeed {
+  constructor(limit = 500) {
+    this.limit = limit;
+    this.buffer = [];
+    this.dropped = 0;
+    this.bad = 0;
+    this.lastError = '';
+    this.onEnqueue = null; // (record) on arrival, before any drop
+  }
+
+  push(raw) {
+    if (isRecord(raw)) return this.enqueue(raw);
+    const { records, errors } = parseRecords(raw);
+    records.forEach(r => this.enqueue(r));
+    errors.forEach(msg => this.report(msg));
+  }
+
+  enqueue(record) {
+    if (this.onEnqueue) this.onEnqueue(record);
+    this.buffer.push(record);
+    if (this.buffer.length > this.limit) {
+      this.buffer.shift();
+      this.dropped++;
+    }
+  }
+
+  take() { return this.buffer.shift(); }
+
+  report(msg) {
+    this.bad++;
+    this.lastError = msg;
+  }
+
+  reset() {
+    this.buffer.length = 0;
+    this.dropped = 0;
+    this.bad = 0;
+    this.lastError = '';
+  }
+
+  get backlog() { return this.buffer.length; }
+}
+
+class SyntheticSource {
+  constructor() { this.status = 'synthetic'; }
+  start() {}
+  stop() {}
+  next() { return ProfileFactory.generate(); }
+}
+
+// WebSocket push source; reconnects with capped backoff until stopped.
+class SocketSource {
+  constructor(url) {
+    this.url = url;
+    this.status = 'idle';
+    this.socket = null;
+    this.retryMs = 1000;
+    this.retryTimer = 0;
+    this.stopped = true;
+  }
+
+  start(feed) {
+    this.stopped = false;
+    this.connect(feed);
+  }
+
+  connect(feed) {
+    this.status = 'connecting';
+    let ws;
+    try {
+      ws = new WebSocket(this.url);
+    } catch (e) {
+      this.status = `error: ${e.message}`;
+      return;
+    }
+    this.socket = ws;
+    ws.onopen = () => { this.status = 'open'; this.retryMs = 1000; };
+    ws.onmessage = e => {
+      if (typeof e.data === 'string') feed.push(e.data);
+      else feed.report('binary message ignored');
+    };
+    ws.onclose = () => {
+      if (this.stopped) return;
+      this.status = `retry in ${Math.round(this.retryMs / 1000)}s`;
+      this.retryTimer = setTimeout(() => this.connect(feed), this.retryMs);
+      this.retryMs = Math.min(10000, this.retryMs * 2);
+    };
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.retryTimer);
+    if (this.socket) this.socket.close();
+    this.socket = null;
+    this.status = 'closed';
+  }
+}
+
+// Server-Sent Events push source; EventSource reconnects on its own.
+class EventStreamSource {
+  constructor(url) {
+    this.url = url;
+    this.es = null;
+    this.state = 'idle';
+  }
+
+  start(feed) {
+    try {
+      this.es = new EventSource(this.url);
+    } catch (e) {
+      this.state = `error: ${e.message}`;
+      return;
+    }
+    this.es.onmessage = e => feed.push(e.data);
+  }
+
+  stop() {
+    if (this.es) this.es.close();
+    this.es = null;
+    this.state = 'closed';
+  }
+
+  get status() {
+    if (!this.es) return this.state;
+    return ['connecting', 'open', 'closed'][this.es.readyState];
+  }
+}
+
+// Push-only: records arrive through feed.push() (e.g. <matrix-stream>'s
+// pushRecord()) and nothing else
+class ManualSource {
+  constructor() { this.status = 'manual'; }
+  start() {}
+  stop() {}
+}
+
+// Persistent population that drifts over time. Each `next()` is either an
+// arrival (a fresh schema record; past CONFIG.simPopulation someone leaves)
+// or an update of an existing entity, evolved one step per full pass of the
+// population since it was last emitted. The clock counts emissions, not
+// wall time, so a seed replays the same story. Fields drift when present:
+// - enums listed in SIM_TRANSITIONS move along the weighted table
+// - activity stays put (weight SIM_STICKY) or switches to another schema value
+// - risk_score walks by SIM_RISK_DRIFT[emotional_state] ± 3, clamped 0..100
+// - last_active becomes now
+const SIM_TRANSITIONS = {
+  emotional_state: {
+    focused: { focused: 5, flow: 2, stressed: 2, distracted: 1, calm: 1 },
+    flow: { flow: 4, focused: 3, optimistic: 1, distracted: 1 },
+    curious: { curious: 4, focused: 2, optimistic: 2, distracted: 1 },
+    optimistic: { optimistic: 4, curious: 2, calm: 2, stressed: 1 },
+    calm: { calm: 5, focused: 2, optimistic: 2, distracted: 1 },
+    distracted: { distracted: 3, stressed: 2, focused: 2, curious: 1 },
+    stressed: { stressed: 4, burnout: 2, distracted: 2, focused: 1, calm: 1 },
+    burnout: { burnout: 5, stressed: 2, calm: 1 },
+  },
+};
+const SIM_RISK_DRIFT = { burnout: 4, stressed: 2, distracted: 1, curious: 0, optimistic: -1, focused: -1, calm: -2, flow: -2 };
+const SIM_STICKY = 3;
+
+class SimulationSource {
+  constructor(config = CONFIG) {
+    this.config = config;
+    this.entities = []; // { state, clock }
+    this.clock = 0;
+    this.arrivals = 0;
+    this.updates = 0;
+  }
+
+  start() {}
+  stop() {}
+
+  reset() {
+    this.entities.length = 0;
+    this.clock = 0;
+    this.arrivals = this.updates = 0;
+  }
+
+  next() {
+    const rng = RNG.profiles;
+    this.clock++;
+    if (this.entities.length < this.config.simPopulation || rng.next() < this.config.simArrivals) return this.arrive(rng);
+    const entity = choice(this.entities, rng);
+    const steps = clamp(Math.ceil((this.clock - entity.clock) / this.entities.length), 1, 5);
+    for (let i = 0; i < steps; i++) this.evolve(entity.state, rng);
+    entity.clock = this.clock;
+    this.updates++;
+    return { ...entity.state };
+  }
+
+  arrive(rng) {
+    const state = ProfileFactory.generate();
+    if ('last_active' in state) state.last_active = new Date().toISOString();
+    this.entities.push({ state, clock: this.clock });
+    while (this.entities.length > this.config.simPopulation) this.entities.splice(randi(0, this.entities.length - 1, rng), 1);
+    this.arrivals++;
+    return { ...state };
+  }
+
+  evolve(state, rng) {
+    for (const [field, table] of Object.entries(SIM_TRANSITIONS)) {
+      const row = table[state[field]];
+      if (row) state[field] = weightedChoice(Object.entries(row), rng);
+    }
+    if ('activity' in state) {
+      const def = ProfileFactory.getSchema().fields.find(f => f.name === 'activity' && f.type === 'enum');
+      const values = def && (Array.isArray(def.values) ? def.values.map(v => (Array.isArray(v) ? v[0] : v)) : Object.keys(def.values));
+      if (values && values.length && rng.next() > SIM_STICKY / (SIM_STICKY + 1)) state.activity = choice(values, rng);
+    }
+    if (typeof state.risk_score === 'number') {
+      const drift = SIM_RISK_DRIFT[state.emotional_state] || 0;
+      state.risk_score = clamp(Math.round(state.risk_score + drift + rand(-3, 3, rng)), 0, 100);
+    }
+    if ('last_active' in state) state.last_active = new Date().toISOString();
+  }
+
+  get status() {
+    return `simulation ${this.entities.length}/${this.config.simPopulation} · ${this.arrivals} new · ${this.updates} updates`;
+  }
+}
+
+// Replays records parsed from a local NDJSON/JSON file at `CONFIG.replayRate`
+// records per second, looping at the end.
+class FileReplaySource {
+  constructor(name, text) {
+    this.name = name;
+    const { records, errors } = parseRecords(text);
+    this.records = records;
+    this.errors = errors;
+    this.index = 0;
+    this.acc = 0;
+    this.feed = null;
+  }
+
+  start(feed) {
+    this.feed = feed;
+    this.errors.forEach(msg => feed.report(`${this.name} ${msg}`));
+  }
+
+  stop() { this.feed = null; }
+
+  tick(dt) {
+    if (!this.feed || this.records.length === 0) return;
+    this.acc += dt * CONFIG.replayRate;
+    for (; this.acc >= 1; this.acc--) {
+      this.feed.push(this.records[this.index]);
+      this.index = (this.index + 1) % this.records.length;
+    }
+  }
+
+  get status() {
+    if (this.records.length === 0) return `${this.name}: no records`;
+    return `${this.name} ${this.index + 1}/${this.records.length}`;
+  }
+}
+
+// ---------------------------- Render Modes --------------------------------
+// Each capsule render mode is a named entry: `format(record) -> text`, the
+// CSS class put on the capsule, and a default weight/enabled state. Weights
+// and toggles live in CONFIG.renderModes so the panel can edit them.
+const RenderModes = (() => {
+  const modes = new Map();
+
+  function register(def) {
+    modes.set(def.name, { className: def.name, weight: 1, enabled: true, ...def });
+    if (!CONFIG.renderModes[def.name]) {
+      const { weight, enabled } = modes.get(def.name);
+      CONFIG.renderModes[def.name] = { weight, enabled };
+    }
+  }
+
+  const get = name => modes.get(name) || modes.get('inline');
+  const list = () => [...modes.values()];
+
+  // Fresh { name: { weight, enabled } } as registered
+  const defaults = () => Object.fromEntries(list().map(m => [m.name, { weight: m.weight, enabled: m.enabled }]));
+
+  // Weighted pick over enabled modes; inline if everything is switched off
+  function pick(rng, settings = CONFIG.renderModes) {
+    const pairs = list()
+      .map(m => [m.name, settings[m.name]])
+      .filter(([, c]) => c && c.enabled && c.weight > 0)
+      .map(([name, c]) => [name, c.weight]);
+    return pairs.length ? weightedChoice(pairs, rng) : 'inline';
+  }
+
+  return { register, get, list, pick, defaults };
+})();
+
+const utf8 = text => new TextEncoder().encode(text);
+
+// key/value pairs with nested objects flattened to dotted paths
+function flattenRecord(record, prefix = '', out = []) {
+  for (const [k, v] of Object.entries(record)) {
+    const path = prefix ? `${prefix}.${k}` : k;
+    if (isRecord(v)) flattenRecord(v, path, out);
+    else if (Array.isArray(v)) out.push([path, v.every(x => x === null || typeof x !== 'object') ? v.join(', ') : JSON.stringify(v)]);
+    else out.push([path, v]);
+  }
+  return out;
+}
+
+function yamlScalar(v) {
+  if (v === null) return 'null';
+  if (typeof v !== 'string') return String(v);
+  // quote anything a YAML parser would read as another type or as syntax
+  const plain = /^[A-Za-z_][\w .\-/@]*$/.test(v) && !/^(true|false|null|yes|no|on|off|~)$/i.test(v) && !/[ ]$/.test(v);
+  return plain ? v : JSON.stringify(v);
+}
+
+function toYaml(value, indent = '') {
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    return value.map(v => (v !== null && typeof v === 'object'
+      ? `${indent}-\n${toYaml(v, indent + '  ')}`
+      : `${indent}- ${yamlScalar(v)}`)).join('\n');
+  }
+  const entries = Object.entries(value);
+  if (entries.length === 0) return '{}';
+  return entries.map(([k, v]) => {
+    const key = `${indent}${yamlScalar(k)}:`;
+    if (v !== null && typeof v === 'object' && Object.keys(v).length > 0) return `${key}\n${toYaml(v, indent + '  ')}`;
+    return `${key} ${v !== null && typeof v === 'object' ? toYaml(v) : yamlScalar(v)}`;
+  }).join('\n');
+}
+
+function csvCell(v) {
+  const s = v === null || v === undefined ? '' : typeof v === 'object' ? JSON.stringify(v) : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Tag/length/value bytes: 1-byte tag, 2-byte big-endian length, payload.
+// Lengths of 0xffff and up are long form: ff ff, then 4-byte length.
+// Objects are 0x30 sequences of (key string, value) pairs; arrays 0x31.
+const TLV = { bool: 0x01, int: 0x02, null: 0x05, float: 0x09, string: 0x0c, object: 0x30, array: 0x31 };
+
+function tlvEncode(value) {
+  const frame = (tag, payload) => {
+    const len = payload.length;
+    const head = len < 0xffff ? [len >> 8, len & 0xff] : [0xff, 0xff, len >>> 24, (len >> 16) & 0xff, (len >> 8) & 0xff, len & 0xff];
+    return [tag, ...head, ...payload];
+  };
+  if (value === null || value === undefined) return frame(TLV.null, []);
+  if (typeof value === 'boolean') return frame(TLV.bool, [value ? 1 : 0]);
+  if (typeof value === 'number') {
+    const view = new DataView(new ArrayBuffer(8));
+    if (Number.isInteger(value) && Math.abs(value) < 2 ** 31) {
+      view.setInt32(0, value);
+      return frame(TLV.int, [...new Uint8Array(view.buffer, 0, 4)]);
+    }
+    view.setFloat64(0, value);
+    return frame(TLV.float, [...new Uint8Array(view.buffer)]);
+  }
+  if (typeof value === 'string') return frame(TLV.string, [...utf8(value)]);
+  if (Array.isArray(value)) return frame(TLV.array, value.flatMap(tlvEncode));
+  return frame(TLV.object, Object.entries(value).flatMap(([k, v]) => [...tlvEncode(k), ...tlvEncode(v)]));
+}
+
+// `hexdump -C` layout: offset, two groups of 8 bytes, printable ASCII gutter
+function hexdump(bytes) {
+  const lines = [];
+  for (let off = 0; off < bytes.length; off += 16) {
+    const row = Array.from(bytes.slice(off, off + 16));
+    const hex = row.map(b => b.toString(16).padStart(2, '0'));
+    const left = hex.slice(0, 8).join(' ').padEnd(23);
+    const right = hex.slice(8).join(' ').padEnd(23);
+    const ascii = row.map(b => (b >= 0x20 && b < 0x7f ? String.fromCharCode(b) : '.')).join('');
+    lines.push(`${off.toString(16).padStart(8, '0')}  ${left}  ${right}  |${ascii}|`);
+  }
+  lines.push(bytes.length.toString(16).padStart(8, '0'));
+  return lines.join('\n');
+}
+
+RenderModes.register({
+  name: 'json',
+  label: 'JSON',
+  format: r => JSON.stringify(r, null, 2),
+});
+
+RenderModes.register({
+  name: 'inline',
+  label: 'Inline',
+  // Profile records get the curated summary; anything else shows its first
+  // few scalar fields.
+  format(record) {
+    const curated = [
+      ['id', 'id'], ['age', 'age'], ['job', 'job_title'], ['emotional', 'emotional_state'],
+      ['income', 'income_usd', formatMoneyUSD], ['risk', 'risk_score'],
+    ].filter(([, key]) => key in record);
+    if (curated.length >= 3) {
+      return curated.map(([label, key, fmt]) => `${label}=${fmt ? fmt(record[key]) : record[key]}`).join(' | ');
+    }
+    return Object.entries(record)
+      .filter(([, v]) => v === null || typeof v !== 'object')
+      .slice(0, 6)
+      .map(([k, v]) => `${k}=${v}`)
+      .join(' | ');
+  },
+});
+
+RenderModes.register({
+  name: 'hex',
+  label: 'Hex',
+  // UTF-8 bytes of the compact JSON
+  format: r => Array.from(utf8(JSON.stringify(r)), b => b.toString(16).padStart(2, '0')).join(' '),
+});
+
+RenderModes.register({
+  name: 'yaml',
+  label: 'YAML',
+  weight: 0.5,
+  format: r => toYaml(r),
+});
+
+RenderModes.register({
+  name: 'csv',
+  label: 'CSV row',
+  weight: 0.5,
+  format(r) {
+    const entries = Object.entries(r);
+    return `${entries.map(([k]) => csvCell(k)).join(',')}\n${entries.map(([, v]) => csvCell(v)).join(',')}`;
+  },
+});
+
+RenderModes.register({
+  name: 'table',
+  label: 'Table',
+  weight: 0.5,
+  format(r) {
+    const rows = flattenRecord(r);
+    const width = Math.max(0, ...rows.map(([k]) => k.length));
+    return rows.map(([k, v]) => `${k.padEnd(width)}  ${v}`).join('\n');
+  },
+});
+
+RenderModes.register({
+  name: 'base64',
+  label: 'Base64',
+  weight: 0.5,
+  enabled: false,
+  format(r) {
+    let bin = '';
+    for (const b of utf8(JSON.stringify(r))) bin += String.fromCharCode(b);
+    return btoa(bin).replace(/.{64}(?=.)/g, '$&\n');
+  },
+});
+
+RenderModes.register({
+  name: 'tlv',
+  label: 'TLV dump',
+  weight: 0.5,
+  enabled: false,
+  format: r => hexdump(tlvEncode(r)),
+});
+
+// ---------------------------- Capsule Layout ------------------------------
+// Claims a non-overlapping slot for every capsule inside its container,
+// keeping clear of the reserved regions (config.layoutReserved, the panels
+// by default). Capsules
+// are measured at full text before typing starts, so the slot matches the
+// final size. Strategies (CONFIG.layout):
+// - random: random positions, first that fits
+// - lanes:  fixed-width vertical lanes, stacked top-down
+// - grid:   fixed cells in shuffled order
+// - column: centred on the head of a rain column (`layout.rain`)
+// New capsules wait until a slot frees up; on reflow, when nothing fits, the
+// least-overlapping candidate wins. Draws come from
+// RNG.fx: how many candidates get tried depends on what's on screen, which
+// must not shift the seeded profile sequence.
+const LAYOUT_LANE_WIDTH = 380;
+const LAYOUT_CELL = { w: 380, h: 200 };
+const LAYOUT_MARGIN = 10;
+
+class CapsuleLayout {
+  constructor(container, config = CONFIG) {
+    this.container = container;
+    this.config = config;
+    this.rain = null; // for the 'column' strategy; random without one
+    this.rects = new Map(); // node -> { x, y, w, h } in container px
+    this.reflowTimer = 0;
+    this.later = () => {
+      clearTimeout(this.reflowTimer);
+      this.reflowTimer = setTimeout(() => this.reflow(), 150);
+    };
+    this.resizer = window.ResizeObserver ? new ResizeObserver(this.later) : null;
+    this.observe();
+  }
+
+  // Reflow on container resizes; the embed stops watching while detached
+  observe() {
+    if (this.resizer) this.resizer.observe(this.container);
+    else window.addEventListener('resize', this.later);
+  }
+
+  unobserve() {
+    clearTimeout(this.reflowTimer);
+    if (this.resizer) this.resizer.disconnect();
+    else window.removeEventListener('resize', this.later);
+  }
+
+  // Container size (the viewport for the page's fixed layer)
+  bounds() {
+    return { W: this.container.clientWidth || window.innerWidth, H: this.container.clientHeight || window.innerHeight };
+  }
+
+  // Overlap area of a and b, with b grown by `gap` on every side
+  static overlap(a, b, gap) {
+    const w = Math.min(a.x + a.w, b.x + b.w + gap) - Math.max(a.x, b.x - gap);
+    const h = Math.min(a.y + a.h, b.y + b.h + gap) - Math.max(a.y, b.y - gap);
+    return w > 0 && h > 0 ? w * h : 0;
+  }
+
+  obstacles(except) {
+    const out = [];
+    for (const [node, r] of this.rects) if (node !== except) out.push(r);
+    if (!this.config.layoutReserved) return out;
+    const origin = this.container.getBoundingClientRect();
+    for (const el of document.querySelectorAll(this.config.layoutReserved)) {
+      const r = el.getBoundingClientRect();
+      if (r.width && r.height) out.push({ x: r.left - origin.left, y: r.top - origin.top, w: r.width, h: r.height });
+    }
+    return out;
+  }
+
+  cost(rect, obstacles) {
+    let sum = 0;
+    for (const o of obstacles) sum += CapsuleLayout.overlap(rect, o, this.config.layoutGap);
+    return sum;
+  }
+
+  // Candidate top-left corners for a w x h capsule under the current strategy
+  *candidates(w, h, obstacles) {
+    const rng = RNG.fx;
+    const { W, H } = this.bounds(), m = LAYOUT_MARGIN;
+    if (this.config.layout === 'lanes') {
+      const count = Math.max(1, Math.floor(W / LAYOUT_LANE_WIDTH));
+      const laneW = W / count;
+      for (const lane of shuffle(Array.from({ length: count }, (_, i) => i), rng)) {
+        const x = lane * laneW + m;
+        // first fit: the top, then just below anything already in the lane
+        const ys = [m];
+        for (const o of obstacles) {
+          if (o.x < x + w && o.x + o.w > x) ys.push(o.y + o.h + this.config.layoutGap);
+        }
+        for (const y of ys.sort((a, b) => a - b)) yield { x, y };
+      }
+    } else if (this.config.layout === 'grid') {
+      const cols = Math.max(1, Math.floor((W - m) / LAYOUT_CELL.w));
+      const rows = Math.max(1, Math.floor((H - m) / LAYOUT_CELL.h));
+      for (const cell of shuffle(Array.from({ length: cols * rows }, (_, i) => i), rng)) {
+        yield { x: m + (cell % cols) * LAYOUT_CELL.w, y: m + Math.floor(cell / cols) * LAYOUT_CELL.h };
+      }
+    } else if (this.config.layout === 'column' && this.rain && this.rain.columns.length) {
+      for (let i = 0; i < 40; i++) {
+        const col = choice(this.rain.columns, rng);
+        yield { x: col.x - w / 2, y: clamp(col.y, 0, H) - h / 2 };
+      }
+    } else {
+      for (let i = 0; i < 40; i++) yield { x: randi(m, Math.max(m + 1, W - w - m), rng), y: randi(m, Math.max(m + 1, H - h - m), rng) };
+    }
+  }
+
+  // Claims the best slot for `node` (w x h) and returns it. With `strict`,
+  // returns null instead of settling for an overlapping slot.
+  place(node, w, h, strict = false) {
+    const { W, H } = this.bounds(), m = LAYOUT_MARGIN;
+    const obstacles = this.obstacles(node);
+    let best = null;
+    let bestCost = Infinity;
+    for (const c of this.candidates(w, h, obstacles)) {
+      const rect = { x: clamp(c.x, m, Math.max(m, W - w - m)), y: clamp(c.y, m, Math.max(m, H - h - m)), w, h };
+      const cost = this.cost(rect, obstacles);
+      if (cost < bestCost) {
+        best = rect;
+        bestCost = cost;
+        if (cost === 0) break;
+      }
+    }
+    if (strict && bestCost > 0) return null;
+    best = best || { x: m, y: m, w, h };
+    this.rects.set(node, best);
+    node.style.left = `${best.x}px`;
+    node.style.top = `${best.y}px`;
+    return best;
+  }
+
+  // Claims exactly (x, y), overlapping or not
+  placeAt(node, x, y, w, h) {
+    const rect = { x, y, w, h };
+    this.rects.set(node, rect);
+    node.style.left = `${x}px`;
+    node.style.top = `${y}px`;
+    return rect;
+  }
+
+  // Re-measures a node where it stands (after a drag or a mode switch)
+  claim(node) {
+    this.rects.set(node, {
+      x: parseFloat(node.style.left) || 0, y: parseFloat(node.style.top) || 0,
+      w: node.offsetWidth, h: node.offsetHeight,
+    });
+  }
+
+  release(node) { this.rects.delete(node); }
+
+  // After a resize or strategy change: capsules that are off-screen or now
+  // collide get a new slot; the rest stay put. `all` re-places everything.
+  reflow(all = false) {
+    const { W, H } = this.bounds();
+    const nodes = Array.from(this.rects.keys());
+    if (all) this.rects.clear();
+    for (const node of nodes) {
+      const r = this.rects.get(node) || { x: 0, y: 0, w: node.offsetWidth, h: node.offsetHeight };
+      const inside = r.x >= 0 && r.y >= 0 && r.x + r.w <= W && r.y + r.h <= H;
+      if (all || !inside || this.cost(r, this.obstacles(node)) > 0) this.place(node, r.w, r.h);
+    }
+  }
+}
+
+// ---------------------------- Redaction -----------------------------------
+// Field rules applied to every record before it is displayed (capsules in any
+// render mode, change lines, inspector, announcements, reveal fills). One
+// rule per line, `path: action [arg]`; the first rule matching a field wins:
+// - keep:          show as is (e.g. before a catch-all `*: mask`)
+// - drop:          leave the field out
+// - mask:          '***'
+// - partial:       first character of each word, 'Ava Kim' -> 'A** K**'
+// - hash:          keyed pseudonym, '#1f3a9c0e5d27'; equal values stay equal
+// - bucket n:      numbers to a range of width n, 34 -> '30–40'
+// - generalize:    city -> country (REDACTION_COUNTRIES), time -> day
+// Paths are dotted (`address.city`), `*` matches any one key; array elements
+// share their array's path. An action on an object applies to every value
+// below it. Blank lines and `#` comments are skipped. Analytics charts see
+// the redacted record too (buckets as their lower bound, so histograms keep
+// working); alert rules match the raw one.
+const REDACTION_PRESETS = {
+  'demo-safe': [
+    'id: hash', 'name: partial', 'age: bucket 10', 'gender: drop', 'income_usd: bucket 25000',
+    'location_city: generalize', 'relationship_status: drop', 'emotional_state: mask', 'last_active: generalize',
+    '*.email: mask', '*.phone: partial',
+  ].join('\n'),
+  internal: ['id: hash', 'name: partial', 'income_usd: bucket 10000', 'relationship_status: drop'].join('\n'),
+};
+const REDACTION_ACTIONS = ['keep', 'drop', 'mask', 'partial', 'hash', 'bucket', 'generalize'];
+const REDACTION_MASK = '***';
+const REDACTION_HASH_BYTES = 6; // of the HMAC shown: 12 hex digits
+const REDACTION_COUNTRIES = {
+  'new york': 'USA', berlin: 'Germany', tokyo: 'Japan', seoul: 'South Korea', toronto: 'Canada',
+  paris: 'France', madrid: 'Spain', sydney: 'Australia', 'sao paulo': 'Brazil', nairobi: 'Kenya',
+  dublin: 'Ireland', singapore: 'Singapore', london: 'UK', 'san francisco': 'USA', chicago: 'USA',
+};
+
+function parseRedactionRule(line) {
+  const m = /^([\w*.-]+)\s*:\s*(\w+)(?:\s+(\S+))?$/.exec(line);
+  if (!m) throw new Error(`can't read "${line}" (expected: field: action)`);
+  const [, path, action, arg] = m;
+  if (!REDACTION_ACTIONS.includes(action)) throw new Error(`"${line}": unknown action ${action} (${REDACTION_ACTIONS.join(', ')})`);
+  const size = Number(arg);
+  if (action === 'bucket' && !(size > 0)) throw new Error(`"${line}": bucket needs a width > 0`);
+  return { text: line, path: path.split('.'), action, size };
+}
+
+// -> { rules, errors }; broken lines are skipped
+function compileRedaction(text) {
+  const rules = [];
+  const errors = [];
+  for (const line of String(text).split('\n').map(l => l.trim()).filter(l => l && !l.startsWith('#'))) {
+    try {
+      rules.push(parseRedactionRule(line));
+    } catch (e) {
+      errors.push(e.message);
+    }
+  }
+  return { rules, errors };
+}
+
+const redactionMatch = (rule, path) => rule.path.length === path.length && rule.path.every((key, i) => key === '*' || key === path[i]);
+
+// SHA-256 (FIPS 180-4) of `bytes`. In JS rather than crypto.subtle, which
+// only offers a Promise and redaction runs inside the synchronous spawn path.
+const SHA256_K = Uint32Array.from([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+function sha256(bytes) {
+  const padded = new Uint8Array(Math.ceil((bytes.length + 9) / 64) * 64);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor(bytes.length / 0x20000000));
+  view.setUint32(padded.length - 4, bytes.length * 8);
+  const h = Uint32Array.from([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+  const w = new Uint32Array(64);
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+  for (let off = 0; off < padded.length; off += 64) {
+    for (let i = 0; i < 16; i++) w[i] = view.getUint32(off + i * 4);
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+    }
+    let [a, b, c, d, e, f, g, k] = h;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (k + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) >>> 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+      [k, g, f, e, d, c, b, a] = [g, f, e, (d + t1) >>> 0, c, b, a, (t1 + t2) >>> 0];
+    }
+    [a, b, c, d, e, f, g, k].forEach((v, i) => { h[i] += v; });
+  }
+  const out = new Uint8Array(32);
+  h.forEach((v, i) => new DataView(out.buffer).setUint32(i * 4, v));
+  return out;
+}
+
+// HMAC-SHA-256 (RFC 2104) with a key of at most 64 bytes
+function hmacSha256(key, bytes) {
+  const pad = x => Uint8Array.from({ length: 64 }, (_, i) => (key[i] || 0) ^ x);
+  const join = (a, b) => {
+    const out = new Uint8Array(a.length + b.length);
+    out.set(a);
+    out.set(b, a.length);
+    return out;
+  };
+  return sha256(join(pad(0x5c), sha256(join(pad(0x36), bytes))));
+}
+
+function redactValue(v, rule, key) {
+  switch (rule.action) {
+    case 'mask': return REDACTION_MASK;
+    case 'partial': return String(v).replace(/([\p{L}\p{N}])([\p{L}\p{N}]*)/gu, (m, first, rest) => first + '*'.repeat(Array.from(rest).length));
+    case 'hash': return `#${Array.from(hmacSha256(key, utf8(String(v))).slice(0, REDACTION_HASH_BYTES), b => b.toString(16).padStart(2, '0')).join('')}`;
+    case 'bucket':
+    case 'floor': { // bucket for charts: the lower bound as a number
+      const n = Number(v);
+      if (typeof v === 'boolean' || v === '' || !Number.isFinite(n)) return REDACTION_MASK;
+      const lo = Math.floor(n / rule.size) * rule.size;
+      if (rule.action === 'floor') return lo;
+      const short = x => Math.abs(x) >= 1000 && x % 1000 === 0 ? `${x / 1000}k` : String(+x.toFixed(6));
+      return `${short(lo)}–${short(lo + rule.size)}`;
+    }
+    case 'generalize': {
+      const s = String(v);
+      if (ISO_TIME.test(s)) return s.slice(0, 10);
+      return REDACTION_COUNTRIES[s.trim().toLowerCase()] || REDACTION_MASK;
+    }
+    default: return v;
+  }
+}
+
+// Copy of `record` with `rules` applied; `inherited` is the rule of an
+// enclosing object
+function redactRecord(record, rules, key, path = [], inherited = null) {
+  const out = {};
+  for (const [k, value] of Object.entries(record)) {
+    const at = [...path, k];
+    const rule = inherited || rules.find(r => redactionMatch(r, at)) || null;
+    if (rule && rule.action === 'drop') continue;
+    out[k] = redactField(value, rules, key, at, rule);
+  }
+  return out;
+}
+
+function redactField(value, rules, key, path, rule) {
+  if (isRecord(value)) return redactRecord(value, rules, key, path, rule);
+  if (Array.isArray(value)) return value.map(v => redactField(v, rules, key, path, rule));
+  if (!rule || rule.action === 'keep' || value === null) return value;
+  return redactValue(value, rule, key);
+}
+
+// Active rules per config (`redaction`: off | a REDACTION_PRESETS name |
+// custom, which uses `redactionRules`) and the hash key: 32 random bytes kept
+// in localStorage only, never shown or put in settings or share links. A new
+// one is made on first use or by regenerateKey().
+const Redaction = (() => {
+  const KEY_STORE = 'matrix-stream.hash-key';
+  let key = null;
+  let cache = { text: null, rules: [], errors: [] };
+
+  function text(config) {
+    if (config.redaction === 'custom') return config.redactionRules;
+    return REDACTION_PRESETS[config.redaction] || '';
+  }
+
+  function compiled(config) {
+    const t = text(config);
+    if (t !== cache.text) cache = { text: t, ...compileRedaction(t) };
+    return cache;
+  }
+
+  function getKey() {
+    if (key) return key;
+    let hex = '';
+    try {
+      hex = localStorage.getItem(KEY_STORE) || '';
+    } catch {}
+    if (/^[0-9a-f]{64}$/.test(hex)) key = Uint8Array.from(hex.match(/../g), h => parseInt(h, 16));
+    else regenerateKey();
+    return key;
+  }
+
+  // Old pseudonyms stop matching new ones
+  function regenerateKey() {
+    key = new Uint8Array(32);
+    if (window.crypto && crypto.getRandomValues) crypto.getRandomValues(key);
+    else key.forEach((_, i) => { key[i] = Math.random() * 256; });
+    try {
+      localStorage.setItem(KEY_STORE, Array.from(key, b => b.toString(16).padStart(2, '0')).join(''));
+    } catch {}
+  }
+
+  const active = config => compiled(config).rules.length > 0;
+
+  // Display copy of `record`; the record itself when nothing applies
+  function apply(record, config) {
+    const { rules } = compiled(config);
+    return rules.length && isRecord(record) ? redactRecord(record, rules, getKey()) : record;
+  }
+
+  // For the analytics charts: buckets stay numbers so histograms still work
+  function forCharts(record, config) {
+    const c = compiled(config);
+    if (!c.charts) c.charts = c.rules.map(r => (r.action === 'bucket' ? { ...r, action: 'floor' } : r));
+    return c.charts.length && isRecord(record) ? redactRecord(record, c.charts, getKey()) : record;
+  }
+
+  // True when the rule for the top-level field `key` rewrites or drops it
+  function covers(key, config) {
+    const rule = compiled(config).rules.find(r => redactionMatch(r, [key]));
+    return !!rule && rule.action !== 'keep';
+  }
+
+  // Indicator text, '' when off
+  const label = config => active(config) ? `REDACTED · ${config.redaction}` : '';
+
+  return { text, errors: config => compiled(config).errors, active, apply, forCharts, covers, label, regenerateKey };
+})();
+
+// ---------------------------- Capsule Manager -----------------------------
+// Last sighting per entity id (the schema's id field; any source), oldest
+// forgotten first, so a returning entity's capsule can show what changed and
+// its real history of SPARK_FIELD values.
+const MEMORY_LIMIT = 1000;
+const HISTORY_LENGTH = 24;
+const SPARK_FIELD = 'risk_score';
+const ISO_TIME = /^\d{4}-\d\d-\d\dT\d\d:\d\d/;
+
+class EntityMemory {
+  constructor(limit = MEMORY_LIMIT) {
+    this.limit = limit;
+    this.seen = new Map(); // id -> { record, at, history, count }
+  }
+
+  // Stores this sighting; returns { previous, history, count } (previous is
+  // null for a first sighting or a record without an id). Keyed on the
+  // active schema's id field, else `id` (feeds in some other shape).
+  visit(record) {
+    const id = record[ProfileFactory.idField()] ?? record.id;
+    const value = record[SPARK_FIELD];
+    if (typeof id !== 'string' && typeof id !== 'number') {
+      return { previous: null, history: typeof value === 'number' ? [value] : [], count: 1 };
+    }
+    const previous = this.seen.get(id) || null;
+    const history = previous ? previous.history.slice(1 - HISTORY_LENGTH) : [];
+    if (typeof value === 'number') history.push(value);
+    const count = previous ? previous.count + 1 : 1;
+    this.seen.delete(id); // re-insert as newest
+    this.seen.set(id, { record, at: Date.now(), history, count });
+    if (this.seen.size > this.limit) this.seen.delete(this.seen.keys().next().value);
+    return { previous, history, count };
+  }
+
+  clear() { this.seen.clear(); }
+}
+
+// "emotional_state stressed→burnout", "risk_score 62→71 (+9)"; timestamps
+// and nested values are skipped
+function recordDelta(before, after) {
+  const changes = [];
+  for (const [k, v] of Object.entries(after)) {
+    const old = before[k];
+    if (old === undefined || old === v || typeof v === 'object' || ISO_TIME.test(String(v))) continue;
+    if (typeof v === 'number' && typeof old === 'number') {
+      const d = +(v - old).toFixed(2);
+      changes.push(`${k} ${old}→${v} (${d > 0 ? '+' : ''}${d})`);
+    } else {
+      changes.push(`${k} ${old}→${v}`);
+    }
+  }
+  return changes;
+}
+
+function formatAgo(ms) {
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s}s`;
+  if (s < 3600) return `${Math.round(s / 60)}m`;
+  return `${Math.round(s / 3600)}h`;
+}
+
+// Scaled to the values' own range, at least 10 wide so noise stays flat
+function sparkline(values) {
+  const blocks = '▁▂▃▄▅▆▇█';
+  const mid = (Math.min(...values) + Math.max(...values)) / 2;
+  const half = Math.max(5, (Math.max(...values) - Math.min(...values)) / 2);
+  const lo = mid - half;
+  const hi = mid + half + 1e-9;
+  return values.map(v => blocks[Math.min(7, Math.floor(((v - lo) / (hi - lo)) * 8))]).join('');
+}
+
+// Capsule rules, one copy for the page (injected below) and for every
+// <matrix-stream> shadow root
+const CAPSULE_CSS = `
+  .capsule { position: absolute; max-width: min(44ch, 40vw); color: var(--active); background: rgba(0,0,0,0.25);
+    border: 1px solid var(--capsule-border, currentColor); border-radius: 6px; padding: 8px 10px; line-height: 1.25;
+    text-shadow: 0 0 calc(6px * var(--glow)) var(--glow-color, currentColor);
+    filter: drop-shadow(0 0 calc(10px * var(--glow)) var(--glow-color, currentColor));
+    transform: translate3d(0,0,0); white-space: pre-wrap; overflow: hidden; }
+  .capsule .hdr { font-size: 10px; letter-spacing: 2px; opacity: 0.8; margin-bottom: 4px; }
+  .capsule.hex, .capsule.csv, .capsule.base64 { font-size: 12px; }
+  .capsule.table { white-space: pre; }
+  .capsule.base64 { word-break: break-all; }
+  .capsule.tlv { font-size: 11px; white-space: pre; max-width: none; }
+  .capsule .spark { margin-top: 4px; opacity: 0.9; }
+  .capsule .delta { margin-top: 4px; font-size: 11px; opacity: 0.85; }
+  /* Matched an analytics alert rule */
+  .capsule.alert { border-color: var(--alert); box-shadow: 0 0 12px var(--alert); animation: alertFlash 0.5s steps(2) 6; }
+  @keyframes alertFlash { 50% { border-color: transparent; box-shadow: none; } }
+  .reduced-motion .capsule.alert { animation: none; }
+  /* Capsules take the pointer once typed (the container stays click-through) */
+  .capsule.ready { pointer-events: auto; cursor: pointer; }
+  .capsule.ready:hover { background: rgba(0,0,0,0.6); }
+  .capsule.pinned { border-style: double; border-width: 3px; cursor: move; user-select: none; touch-action: none; z-index: 1; }
+`;
+
+if (canvas) {
+  const style = document.createElement('style');
+  style.textContent = CAPSULE_CSS;
+  document.head.appendChild(style);
+}
+
+// Strict placement attempts before a parked capsule settles for the least
+// overlapping slot instead of blocking the stream
+const SPAWN_RETRIES = 6;
+
+class CapsuleManager {
+  constructor(container, source = new SyntheticSource(), config = CONFIG) {
+    this.container = container;
+    this.config = config;
+    this.feed = new RecordFeed();
+    this.source = source;
+    this.pool = [];
+    this.active = new Set();
+    this.layout = new CapsuleLayout(container, config);
+    this.memory = new EntityMemory();
+    this.spawnAccumulator = 0;
+    this.paused = false;
+    this.quality = 1; // PerformanceGovernor's scale on the spawn rate
+    this.typing = new Map(); // node -> typewriter state, advanced by tick()
+    this.onTyped = null; // (record as displayed) once a capsule finishes typing
+    this.onRecord = null; // (record) for every delivered record, shown or not
+    this.alertTest = null; // (record) -> true flags the capsule with .alert
+    this.onSpawn = null; // ({ node, record, mode, rect, plan }) once a capsule has its slot
+    this.feed.onEnqueue = record => this.delivered(record);
+    // spawn plan that found no free slot; retried every `retryIn` seconds,
+    // and placed overlapping after SPAWN_RETRIES tries (counted in `crowded`)
+    this.waiting = null;
+    this.retryIn = 0;
+    this.crowded = 0;
+    // Pooled nodes get reused, so pending timers check they still own the node
+    this.serial = 0;
+    this.serials = new WeakMap();
+    // Pinned capsules never dissolve and don't count against maxCapsules
+    this.pinned = new Set();
+    this.records = new WeakMap(); // node -> { record (as displayed), plan (raw record within), mode, content }
+    this.holds = new WeakMap();   // node -> { remaining, since, timer }
+    this.dissolving = new WeakSet();
+    this.onSelect = null;         // (node) => void, set by the inspector
+  }
+
+  clear() {
+    for (const node of this.active) this.releaseNode(node);
+    this.active.clear();
+    this.memory.clear();
+    this.spawnAccumulator = 0;
+    this.waiting = null;
+  }
+
+  setSource(source) {
+    this.source.stop();
+    this.feed.reset();
+    this.spawnAccumulator = 0;
+    this.waiting = null;
+    this.crowded = 0;
+    this.source = source;
+    source.start(this.feed, this);
+  }
+
+  tick(dt) {
+    const src = this.source;
+    if (src.tick) src.tick(dt);
+    this.typeStep(dt);
+    // a capsule that found no free slot retries before anything new spawns
+    if (this.waiting) {
+      this.retryIn -= dt;
+      if (this.retryIn <= 0 && this.active.size < this.config.maxCapsules) this.spawn(this.waiting);
+      return;
+    }
+    // push sources (and pushRecord() on any source): drain the backlog one
+    // capsule per frame while there is room
+    if (!src.next || this.feed.buffer.length) {
+      const record = this.active.size < this.config.maxCapsules && this.feed.take();
+      if (record) this.spawnRecord(record);
+      return;
+    }
+    // spawn logic
+    const baseRate = 1.0; // per second baseline
+    const rate = baseRate * this.config.capsuleRateScale * this.quality;
+    this.spawnAccumulator += dt * rate;
+    if (this.spawnAccumulator >= rand(0.6, 1.4)) {
+      this.spawnAccumulator = 0;
+      if (this.active.size < this.config.maxCapsules) this.spawnRecord(this.delivered(src.next()));
+    }
+  }
+
+  // Several capsules at once (sequencer events), past the spawn rate but
+  // not past what the layout can place
+  burst(count) {
+    const src = this.source;
+    for (let i = 0; i < count && !this.waiting; i++) {
+      const record = this.feed.take() || (src.next && this.delivered(src.next()));
+      if (!record) break;
+      this.spawnRecord(record);
+    }
+  }
+
+  // Push sources report records on arrival, pull sources when drawn
+  delivered(record) {
+    if (this.onRecord) this.onRecord(record);
+    return record;
+  }
+
+  spawnRecord(record) { this.spawn(this.planSpawn(record)); }
+
+  // Per-spawn draws come from the profiles stream so a seed replays the
+  // same capsules; the spawn timer above stays on fx (it rolls every frame).
+  // They're drawn up front so a spawn deferred for lack of room replays as is.
+  planSpawn(record) {
+    const rng = RNG.profiles;
+    const mode = this.pickMode();
+    const { previous, history, count } = this.memory.visit(record);
+    const ago = previous ? formatAgo(Date.now() - previous.at) : '';
+    const plan = { record, previous, history, ago, mode, count, holdMs: randi(2000, 4000, rng), secondsPerChar: rand(0.04, 0.08, rng) };
+    return this.redactPlan(plan);
+  }
+
+  // What's displayed is the redacted copy (`shown`, delta and spark lines);
+  // memory and alerts keep the raw one. Re-run by redact() on rule changes.
+  redactPlan(plan) {
+    const { record, previous, history } = plan;
+    plan.shown = Redaction.apply(record, this.config);
+    plan.delta = previous
+      ? `Δ ${plan.ago}: ${recordDelta(Redaction.apply(previous.record, this.config), plan.shown).join(' · ') || 'no change'}`
+      : '';
+    plan.spark = history.length > 1 && !Redaction.covers(SPARK_FIELD, this.config) ? `${SPARK_FIELD} ${sparkline(history)} ${history[history.length - 1]}` : '';
+    return plan;
+  }
+
+  // Returning entity: what changed since last seen and its real history
+  renderNotes(node, plan) {
+    node.querySelectorAll(':scope > .delta, :scope > .spark').forEach(line => line.remove());
+    for (const [cls, text] of [['delta', plan.delta], ['spark', plan.spark]]) {
+      if (!text) continue;
+      const line = document.createElement('div');
+      line.className = cls;
+      line.textContent = text;
+      node.appendChild(line);
+    }
+  }
+
+  // Redaction rules or hash key changed: re-render every capsule on screen
+  // (typing, holding or pinned) from its raw record
+  redact() {
+    if (this.waiting) this.redactPlan(this.waiting); // spawns later as is
+    for (const node of [...this.active, ...this.pinned]) {
+      const entry = this.records.get(node);
+      if (!entry) continue;
+      entry.record = this.redactPlan(entry.plan).shown;
+      this.renderNotes(node, entry.plan);
+      const text = this.renderText(entry.record, entry.mode);
+      const t = this.typing.get(node);
+      if (!t) {
+        entry.content.textContent = text;
+        this.layout.claim(node);
+        continue;
+      }
+      t.full = text;
+      t.chars = Array.from(text);
+      t.i = Math.min(t.i, t.chars.length);
+      t.end = t.chars.slice(0, t.i).join('').length;
+      t.text.data = text.slice(0, t.end);
+    }
+  }
+
+  // Returns false (and parks the plan in `waiting`) when no free slot exists
+  spawn(plan) {
+    const { record, mode } = plan;
+    const node = this.getNode();
+    this.serials.set(node, ++this.serial);
+    node.className = `capsule ${RenderModes.get(mode).className}`;
+    if (this.alertTest && this.alertTest(record)) node.classList.add('alert');
+    node.style.opacity = '0';
+    node.innerHTML = '';
+    const hdr = document.createElement('div');
+    hdr.className = 'hdr';
+    hdr.textContent = plan.count > 1 ? `PROFILE_STREAM · SEEN ×${plan.count}` : 'PROFILE_STREAM';
+    const content = document.createElement('div');
+    node.appendChild(hdr);
+    node.appendChild(content);
+    this.renderNotes(node, plan);
+    this.container.appendChild(node);
+    const text = this.renderText(plan.shown, mode);
+
+    // Measure at full text (at the origin, so the right edge can't squeeze
+    // the wrap) and claim a slot before the typewriter starts from empty
+    node.style.left = node.style.top = '0px';
+    content.textContent = text;
+    // plan.at: a fixed position (session replay) instead of a free slot
+    const rect = plan.at
+      ? this.layout.placeAt(node, plan.at.x, plan.at.y, node.offsetWidth, node.offsetHeight)
+      : this.layout.place(node, node.offsetWidth, node.offsetHeight, (plan.tries || 0) < SPAWN_RETRIES);
+    if (!rect) {
+      this.releaseNode(node);
+      plan.tries = (plan.tries || 0) + 1;
+      this.waiting = plan;
+      this.retryIn = 0.5;
+      return false;
+    }
+    if (plan.tries >= SPAWN_RETRIES) this.crowded++;
+    this.waiting = null;
+    this.active.add(node);
+    this.records.set(node, { record: plan.shown, plan, mode, content });
+    if (this.onSpawn) this.onSpawn({ node, record, mode, rect, plan });
+
+    // Typewriter
+    this.typeText(node, content, text, plan.secondsPerChar, () => {
+      this.pulseHighlights(content);
+      node.style.opacity = '1';
+      node.classList.add('ready'); // interactive from here on
+      this.layout.claim(node); // settle the slot to the typed size
+      if (this.onTyped) this.onTyped(plan.shown);
+      // hold then dissolve; the hold clock stops while the pointer is over it
+      this.holds.set(node, { remaining: plan.holdMs, since: 0, timer: 0 });
+      if (!node.matches(':hover')) this.resumeHold(node);
+    });
+    return true;
+  }
+
+  renderText(record, mode) { return RenderModes.get(mode).format(record); }
+
+  resumeHold(node) {
+    const hold = this.holds.get(node);
+    if (!hold || hold.timer || this.pinned.has(node) || this.paused) return;
+    hold.since = nowMs();
+    hold.timer = setTimeout(() => {
+      this.holds.delete(node);
+      this.dissolve(node);
+    }, hold.remaining);
+  }
+
+  pauseHold(node) {
+    const hold = this.holds.get(node);
+    if (!hold || !hold.timer) return;
+    clearTimeout(hold.timer);
+    hold.timer = 0;
+    hold.remaining = Math.max(0, hold.remaining - (nowMs() - hold.since));
+  }
+
+  // Pause freezes spawning, typing and hold clocks; dissolves still finish
+  setPaused(paused) {
+    this.paused = paused;
+    for (const node of this.active) {
+      if (paused) this.pauseHold(node);
+      else if (!node.matches(':hover')) this.resumeHold(node);
+    }
+  }
+
+  pin(node) {
+    if (this.pinned.has(node) || this.dissolving.has(node) || !this.records.has(node)) return;
+    this.pauseHold(node);
+    this.active.delete(node);
+    this.pinned.add(node);
+    node.classList.add('pinned');
+  }
+
+  unpin(node) {
+    if (!this.pinned.delete(node)) return;
+    node.classList.remove('pinned');
+    this.dissolve(node);
+  }
+
+  // Re-renders a capsule's body in another mode (no typewriter)
+  setMode(node, mode) {
+    const entry = this.records.get(node);
+    if (!entry) return;
+    entry.mode = mode;
+    node.classList.remove(...RenderModes.list().map(m => m.className));
+    node.classList.add(RenderModes.get(mode).className);
+    entry.content.textContent = this.renderText(entry.record, mode);
+    this.layout.claim(node);
+  }
+
+  // Hover pauses the hold; click pins + selects; pinned capsules drag.
+  // Attached once per element, pooled nodes keep them.
+  bindNode(node) {
+    let drag = null;
+    node.addEventListener('pointerenter', () => this.pauseHold(node));
+    node.addEventListener('pointerleave', () => this.resumeHold(node));
+    node.addEventListener('pointerdown', e => {
+      if (!this.pinned.has(node)) return;
+      drag = { x: e.clientX, y: e.clientY, left: parseFloat(node.style.left), top: parseFloat(node.style.top), moved: false };
+      node.setPointerCapture(e.pointerId);
+    });
+    node.addEventListener('pointermove', e => {
+      if (!drag) return;
+      const dx = e.clientX - drag.x, dy = e.clientY - drag.y;
+      if (!drag.moved && Math.hypot(dx, dy) < 4) return;
+      drag.moved = true;
+      node.style.left = `${drag.left + dx}px`;
+      node.style.top = `${drag.top + dy}px`;
+    });
+    node.addEventListener('pointerup', () => {
+      const wasDrag = drag && drag.moved;
+      drag = null;
+      if (wasDrag) return this.layout.claim(node);
+      this.pin(node);
+      if (this.pinned.has(node) && this.onSelect) this.onSelect(node);
+    });
+  }
+
+  pickMode() { return RenderModes.pick(RNG.profiles, this.config.renderModes); }
+
+  // Record of the newest fully typed capsule still on screen
+  latestRecord() {
+    let latest = null;
+    for (const node of this.active) {
+      if (node.classList.contains('ready') && !this.dissolving.has(node)) latest = this.records.get(node).record;
+    }
+    return latest;
+  }
+
+  getNode() {
+    const n = this.pool.pop();
+    if (n) return n;
+    const node = document.createElement('div');
+    this.bindNode(node);
+    return node;
+  }
+
+  releaseNode(node) {
+    this.serials.delete(node);
+    this.typing.delete(node);
+    const hold = this.holds.get(node);
+    if (hold) clearTimeout(hold.timer);
+    this.holds.delete(node);
+    this.records.delete(node);
+    this.dissolving.delete(node);
+    this.layout.release(node);
+    node.style.transform = '';
+    node.remove();
+    this.pool.push(node);
+  }
+
+  // Typewriter into one text node; typeStep() advances it from tick(), so it
+  // stops with the loop (pause, hidden tab) and costs one write per frame
+  typeText(node, container, fullText, secondsPerChar, done) {
+    const text = document.createTextNode('');
+    container.replaceChildren(text);
+    this.typing.set(node, { text, full: fullText, chars: Array.from(fullText), i: 0, end: 0, acc: 0, secondsPerChar, done });
+  }
+
+  typeStep(dt) {
+    for (const [node, t] of this.typing) {
+      t.acc += dt;
+      const take = Math.floor(t.acc / t.secondsPerChar);
+      if (!take) continue;
+      t.acc -= take * t.secondsPerChar;
+      // `end` in UTF-16 units: whole code points only
+      for (let k = 0; k < take && t.i < t.chars.length; k++) t.end += t.chars[t.i++].length;
+      t.text.data = t.full.slice(0, t.end);
+      if (t.i === t.chars.length) {
+        this.typing.delete(node);
+        if (t.done) t.done();
+      }
+    }
+  }
+
+  // Brightens the capsule for a moment once typed
+  pulseHighlights(container) {
+    if (motionLevel(this.config) !== 'full') return; // a flash is motion too
+    const node = container.parentElement;
+    const original = node.style.filter || '';
+    node.style.filter = 'brightness(1.5)';
+    setTimeout(() => (node.style.filter = original), 300);
+  }
+
+  dissolve(node) {
+    // pixel scatter effect simulated by CSS opacity + translate jitter via JS
+    const start = nowMs();
+    const duration = 500;
+    const serial = this.serials.get(node);
+    this.dissolving.add(node);
+    const jitter = () => {
+      if (this.serials.get(node) !== serial) return; // cleared mid-dissolve
+      const t = (nowMs() - start) / duration;
+      if (t >= 1) {
+        this.active.delete(node);
+        this.releaseNode(node);
+        return;
+      }
+      const fade = 1 - t;
+      node.style.opacity = String(fade);
+      if (motionLevel(this.config) === 'full') node.style.transform = `translate3d(${(RNG.fx.next()-0.5)*6}px, ${(RNG.fx.next()-0.5)*6}px, 0)`;
+      requestAnimationFrame(jitter);
+    };
+    requestAnimationFrame(jitter);
+  }
+}
+
+// ---------------------------- Inspector -----------------------------------
+// Panel for the selected pinned capsule: the record as a collapsible tree,
+// copy-as-JSON, render mode switch and unpin.
+const Inspector = (() => {
+  const qs = id => document.getElementById(id);
+  let node = null;
+
+  function tree(value, key) {
+    if (value === null || typeof value !== 'object') {
+      const leaf = document.createElement('div');
+      leaf.className = 'leaf';
+      const k = document.createElement('span');
+      k.className = 'k';
+      k.textContent = key === undefined ? '' : `${key}: `;
+      const v = document.createElement('span');
+      v.className = `v ${value === null ? 'null' : typeof value}`;
+      v.textContent = JSON.stringify(value);
+      leaf.append(k, v);
+      return leaf;
+    }
+    const entries = Object.entries(value);
+    const box = document.createElement('details');
+    box.open = true;
+    const summary = document.createElement('summary');
+    const shape = Array.isArray(value) ? `[${entries.length}]` : `{${entries.length}}`;
+    summary.textContent = key === undefined ? shape : `${key}: ${shape}`;
+    box.append(summary, ...entries.map(([k, v]) => tree(v, k)));
+    return box;
+  }
+
+  function open(target) {
+    const entry = capsules.records.get(target);
+    if (!entry) return;
+    node = target;
+    qs('inspectMode').value = entry.mode;
+    qs('inspectTree').replaceChildren(tree(entry.record));
+    qs('inspectState').textContent = '';
+    qs('inspector').hidden = false;
+  }
+
+  function close() {
+    node = null;
+    qs('inspector').hidden = true;
+  }
+
+  // The selected capsule was re-rendered (e.g. new redaction rules)
+  function refresh() {
+    if (node) open(node);
+  }
+
+  async function copy() {
+    const entry = node && capsules.records.get(node);
+    if (!entry) return;
+    const ok = await copyText(JSON.stringify(entry.record, null, 2));
+    qs('inspectState').textContent = ok ? 'copied' : 'copy failed';
+  }
+
+  function bind() {
+    capsules.onSelect = open;
+    qs('btnInspectorClose').addEventListener('click', close);
+    qs('btnCopyJson').addEventListener('click', copy);
+    qs('inspectMode').addEventListener('change', e => { if (node) capsules.setMode(node, e.target.value); });
+    qs('btnUnpin').addEventListener('click', () => {
+      if (node) capsules.unpin(node);
+      close();
+    });
+  }
+
+  return { bind, open, close, refresh };
+})();
+
+// ---------------------------- Accessibility -------------------------------
+// Reduced motion (CONFIG.motion: auto follows prefers-reduced-motion),
+// one-line capsule announcements and keyboard shortcuts. The capsules
+// themselves are aria-hidden: raw JSON/hex typed a character at a time is
+// noise to a screen reader, so each record is summarised into #announcer
+// once its capsule finishes typing, at most one every ANNOUNCE_GAP_MS (the
+// latest record wins when they arrive faster).
+const ANNOUNCE_GAP_MS = 4000;
+const RAIN_MOTION_SCALE = { full: 1, reduced: 0.25, still: 0 };
+
+const A11y = (() => {
+  const qs = id => document.getElementById(id);
+  let pending = '';
+  let lastAnnounce = -Infinity;
+  let announceTimer = 0;
+
+  const motion = () => motionLevel(CONFIG);
+
+  const reduced = () => motion() !== 'full';
+
+  function applyMotion() {
+    document.body.classList.toggle('reduced-motion', reduced());
+  }
+
+  // "Ada Reyes, 34, Engineer in Tech, stressed, risk 72" for profiles;
+  // otherwise the first few scalar fields as "field value"
+  function summarize(record) {
+    const r = record;
+    if ('name' in r && ('job_title' in r || 'risk_score' in r)) {
+      const job = [r.job_title, r.industry && `in ${r.industry}`].filter(Boolean).join(' ');
+      return [r.name, r.age, job, r.emotional_state, 'risk_score' in r && `risk ${r.risk_score}`]
+        .filter(v => v !== undefined && v !== '' && v !== false).join(', ');
+    }
+    return Object.entries(r)
+      .filter(([, v]) => v === null || typeof v !== 'object')
+      .slice(0, 4)
+      .map(([k, v]) => `${k.replace(/_/g, ' ')} ${v}`)
+      .join(', ');
+  }
+
+  function flush() {
+    announceTimer = 0;
+    lastAnnounce = nowMs();
+    qs('announcer').textContent = pending;
+    pending = '';
+  }
+
+  function announce(record) {
+    if (!CONFIG.announce) return;
+    pending = summarize(record);
+    const wait = lastAnnounce + ANNOUNCE_GAP_MS - nowMs();
+    if (wait <= 0) flush();
+    else if (!announceTimer) announceTimer = setTimeout(flush, wait);
+  }
+
+  function cycleTheme() {
+    const sel = qs('theme');
+    sel.selectedIndex = (sel.selectedIndex + 1) % sel.options.length;
+    sel.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  // Pins the newest typed capsule and moves focus into the inspector
+  function inspectLatest() {
+    const ready = Array.from(capsules.active).filter(n => n.classList.contains('ready') && !capsules.dissolving.has(n));
+    const node = ready[ready.length - 1];
+    if (!node) return;
+    capsules.pin(node);
+    Inspector.open(node);
+    qs('inspectMode').focus();
+  }
+
+  function closePanels() {
+    if (!qs('inspector').hidden) qs('btnInspectorClose').click();
+    if (!qs('schemaPanel').hidden) qs('btnSchemaClose').click();
+    if (!qs('sequencer').hidden) qs('btnSeqClose').click();
+  }
+
+  const SHORTCUTS = {
+    ' ': togglePause, p: togglePause, s: screenshot, t: cycleTheme, i: inspectLatest, Escape: closePanels,
+  };
+
+  function onKey(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+    // never steal keys from text entry, and leave Space to buttons/toggles
+    if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable]')) {
+      if (e.key !== 'Escape') return;
+    }
+    if (e.key === ' ' && e.target.closest && e.target.closest('button, summary')) return;
+    const action = SHORTCUTS[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+    if (!action) return;
+    e.preventDefault();
+    action();
+  }
+
+  function bind() {
+    qs('motion').addEventListener('change', e => { CONFIG.motion = e.target.value; applyMotion(); });
+    qs('announce').addEventListener('change', e => { CONFIG.announce = e.target.checked; });
+    qs('btnPause').addEventListener('click', togglePause);
+    if (REDUCED_MOTION && REDUCED_MOTION.addEventListener) REDUCED_MOTION.addEventListener('change', applyMotion);
+    document.addEventListener('keydown', onKey);
+    capsules.onTyped = announce;
+    applyMotion();
+  }
+
+  return { bind, motion, reduced, summarize };
+})();
+
+// ---------------------------- Analytics -----------------------------------
+// Aggregates every record the stream delivers (displayed or not), for any
+// source: numeric fields feed exact streaming histograms, strings/booleans
+// (and scalar array items) feed counts, nested objects are walked as dotted
+// paths. Also rolling throughput and alert rules such as
+// `risk_score > 80 and emotional_state = burnout` (one per line) whose
+// matches are counted and flash their capsules.
+const ANALYTICS_MAX_FIELDS = 60;
+const ANALYTICS_MAX_CATEGORIES = 50; // beyond this a field is "wide" (ids, names, timestamps)
+const THROUGHPUT_SECONDS = 60;
+
+// Fixed bin count; the range starts tiny around the first value and doubles
+// (merging neighbour bins) until each new value fits, so counts stay exact
+// without knowing the domain up front.
+class StreamHistogram {
+  constructor(bins = 20) {
+    this.bins = new Array(bins).fill(0); // even count (bins merge in pairs)
+    this.lo = 0;
+    this.width = 0;
+    this.count = 0;
+    this.sum = 0;
+    this.min = Infinity;
+    this.max = -Infinity;
+  }
+
+  add(v) {
+    if (!Number.isFinite(v)) return;
+    const n = this.bins.length;
+    if (!this.width) {
+      this.width = 2 ** -10;
+      this.lo = Math.floor(v / this.width) * this.width;
+    }
+    while (v < this.lo || v >= this.lo + this.width * n) this.grow(v < this.lo);
+    this.bins[Math.min(n - 1, Math.floor((v - this.lo) / this.width))]++;
+    this.count++;
+    this.sum += v;
+    this.min = Math.min(this.min, v);
+    this.max = Math.max(this.max, v);
+  }
+
+  // Doubles the bin width; growing down shifts the old bins to the top half
+  grow(down) {
+    const n = this.bins.length;
+    const merged = new Array(n).fill(0);
+    for (let i = 0; i < n; i++) merged[(down ? n / 2 : 0) + (i >> 1)] += this.bins[i];
+    if (down) this.lo -= n * this.width;
+    this.width *= 2;
+    this.bins = merged;
+  }
+
+  // Occupied bins only: [{ lo, hi, count }]
+  ranges() {
+    const first = this.bins.findIndex(c => c > 0);
+    if (first < 0) return [];
+    const last = this.bins.length - 1 - [...this.bins].reverse().findIndex(c => c > 0);
+    return this.bins.slice(first, last + 1).map((count, i) => {
+      const lo = this.lo + (first + i) * this.width;
+      return { lo, hi: lo + this.width, count };
+    });
+  }
+}
+
+// "field op value" clauses joined by "and". Ops: > >= < <= = != ~ (contains)
+// An "and" only starts a new clause when a "field op" follows it, so
+// `title ~ salt and pepper` is one clause; quote a value to be explicit.
+const ALERT_OPS = ['>=', '<=', '!=', '=', '>', '<', '~'];
+const ALERT_CLAUSE = /\s*([\w.]+)\s*(>=|<=|!=|==|=|>|<|~)\s*("[^"]*"|'[^']*'|.+?)\s*(?:$|\s+and\s+(?=[\w.]+\s*(?:>=|<=|!=|==|=|>|<|~)))/iy;
+
+function parseAlertRule(text) {
+  const clauses = [];
+  ALERT_CLAUSE.lastIndex = 0;
+  while (ALERT_CLAUSE.lastIndex < text.length) {
+    const at = ALERT_CLAUSE.lastIndex;
+    const m = ALERT_CLAUSE.exec(text);
+    if (!m) throw new Error(`can't read "${text.slice(at).trim()}" (expected: field op value)`);
+    const [, field, op, raw] = m;
+    const value = raw.replace(/^(['"])(.*)\1$/, '$2');
+    if (['>', '>=', '<', '<='].includes(op) && !Number.isFinite(Number(value))) {
+      throw new Error(`"${field} ${op} ${raw}": ${op} needs a number`);
+    }
+    clauses.push({ field, op: op === '==' ? '=' : op, value });
+  }
+  return { text: text.trim(), clauses };
+}
+
+function fieldAt(record, path) {
+  let v = record;
+  for (const key of path.split('.')) v = isRecord(v) ? v[key] : undefined;
+  return v;
+}
+
+function matchesRule(record, rule) {
+  return rule.clauses.every(({ field, op, value }) => {
+    const v = fieldAt(record, field);
+    if (v === undefined) return false;
+    switch (op) {
+      case '>': return Number(v) > Number(value);
+      case '>=': return Number(v) >= Number(value);
+      case '<': return Number(v) < Number(value);
+      case '<=': return Number(v) <= Number(value);
+      case '=': return String(v) === value;
+      case '!=': return String(v) !== value;
+      default: return String(v).toLowerCase().includes(value.toLowerCase());
+    }
+  });
+}
+
+const Analytics = (() => {
+  const qs = id => document.getElementById(id);
+  let total = 0;
+  let numeric = new Map(); // path -> StreamHistogram
+  let categories = new Map(); // path -> { counts: Map, wide }
+  let throughput = { second: 0, counts: new Array(THROUGHPUT_SECONDS).fill(0) };
+  let rules = []; // { text, clauses, count }
+
+  // chart id -> [select id, kind, preferred fields]
+  const CHARTS = {
+    anHistA: ['anFieldA', 'numeric', ['risk_score']],
+    anHistB: ['anFieldB', 'numeric', ['income_usd', 'amount_usd', 'latency_ms']],
+    anCatA: ['anFieldC', 'category', ['industry', 'kind', 'status']],
+    anCatB: ['anFieldD', 'category', ['emotional_state', 'level', 'region']],
+  };
+
+  function walk(value, path) {
+    if (isRecord(value)) {
+      for (const [k, v] of Object.entries(value)) walk(v, path ? `${path}.${k}` : k);
+    } else if (Array.isArray(value)) {
+      value.forEach(v => { if (v === null || typeof v !== 'object') walk(v, path); });
+    } else if (typeof value === 'number') {
+      if (!numeric.has(path) && numeric.size + categories.size >= ANALYTICS_MAX_FIELDS) return;
+      if (!numeric.has(path)) numeric.set(path, new StreamHistogram());
+      numeric.get(path).add(value);
+    } else if (typeof value === 'string' || typeof value === 'boolean') {
+      if (!categories.has(path) && numeric.size + categories.size >= ANALYTICS_MAX_FIELDS) return;
+      if (!categories.has(path)) categories.set(path, { counts: new Map(), wide: false });
+      const cat = categories.get(path);
+      const key = String(value);
+      if (cat.counts.has(key) || cat.counts.size < ANALYTICS_MAX_CATEGORIES) cat.counts.set(key, (cat.counts.get(key) || 0) + 1);
+      else cat.wide = true;
+    }
+  }
+
+  // Charts aggregate the redacted copy; alert rules match the raw record
+  function add(record) {
+    total++;
+    walk(Redaction.forCharts(record, CONFIG), '');
+    const second = Math.floor(nowMs() / 1000);
+    // zero the buckets of seconds that passed without records
+    for (let s = Math.max(throughput.second + 1, second - THROUGHPUT_SECONDS + 1); s <= second; s++) {
+      throughput.counts[s % THROUGHPUT_SECONDS] = 0;
+    }
+    throughput.second = Math.max(throughput.second, second);
+    throughput.counts[second % THROUGHPUT_SECONDS]++;
+    for (const rule of rules) if (matchesRule(record, rule)) rule.count++;
+  }
+
+  const isAlert = record => rules.some(rule => matchesRule(record, rule));
+
+  // New redaction rules: drop field aggregates built under the old ones
+  function clearFields() {
+    numeric = new Map();
+    categories = new Map();
+    render();
+  }
+
+  function reset() {
+    total = 0;
+    numeric = new Map();
+    categories = new Map();
+    throughput = { second: 0, counts: new Array(THROUGHPUT_SECONDS).fill(0) };
+    rules.forEach(rule => { rule.count = 0; });
+    render();
+  }
+
+  // Keeps the counters of rules whose text didn't change
+  function setRules(text) {
+    const errors = [];
+    const previous = new Map(rules.map(r => [r.text, r.count]));
+    rules = [];
+    for (const line of text.split('\n').map(l => l.trim()).filter(Boolean)) {
+      try {
+        const rule = parseAlertRule(line);
+        rules.push({ ...rule, count: previous.get(rule.text) || 0 });
+      } catch (e) {
+        errors.push(e.message);
+      }
+    }
+    qs('alertErrors').replaceChildren(...errors.map(msg => {
+      const li = document.createElement('li');
+      li.textContent = msg;
+      return li;
+    }));
+    return errors;
+  }
+
+  const alertTotal = () => rules.reduce((sum, r) => sum + r.count, 0);
+
+  function fmt(v) {
+    const a = Math.abs(v);
+    if (a >= 1e6) return `${+(v / 1e6).toFixed(1)}M`;
+    if (a >= 1e4) return `${+(v / 1e3).toFixed(0)}k`;
+    return String(+v.toFixed(a < 10 ? 2 : 0));
+  }
+
+  // Sizes the canvas backing store for crisp lines and returns its context
+  function chartContext(cv, height) {
+    const dpr = Math.max(1, Math.min(2, window.devicePixelRatio || 1));
+    const w = cv.clientWidth || 300;
+    cv.style.height = `${height}px`;
+    cv.width = Math.floor(w * dpr);
+    cv.height = Math.floor(height * dpr);
+    const c = cv.getContext('2d');
+    c.setTransform(dpr, 0, 0, dpr, 0, 0);
+    c.clearRect(0, 0, w, height);
+    c.fillStyle = c.strokeStyle = getActiveColor();
+    c.font = '10px ui-monospace, monospace';
+    c.textBaseline = 'middle';
+    return { c, w, h: height };
+  }
+
+  // Vertical bars with first/last range labels underneath
+  function drawHistogram(cv, hist) {
+    const { c, w, h } = chartContext(cv, 70);
+    const ranges = hist ? hist.ranges() : [];
+    if (!ranges.length) return;
+    const peak = Math.max(...ranges.map(r => r.count));
+    const bw = w / ranges.length;
+    ranges.forEach((r, i) => {
+      const bh = (r.count / peak) * (h - 16);
+      c.globalAlpha = 0.8;
+      c.fillRect(i * bw + 1, h - 14 - bh, Math.max(1, bw - 2), bh);
+    });
+    c.globalAlpha = 1;
+    c.textAlign = 'left';
+    c.fillText(fmt(ranges[0].lo), 0, h - 6);
+    c.textAlign = 'right';
+    c.fillText(fmt(ranges[ranges.length - 1].hi), w, h - 6);
+    cv.setAttribute('aria-label', `${hist.count} values, ${fmt(hist.min)} to ${fmt(hist.max)}, mean ${fmt(hist.sum / hist.count)}`);
+  }
+
+  // Horizontal bars, largest first
+  function drawCounts(cv, cat) {
+    const rows = cat ? [...cat.counts].sort((a, b) => b[1] - a[1]).slice(0, 8) : [];
+    const { c, w } = chartContext(cv, Math.max(14, rows.length * 13));
+    if (!rows.length) return;
+    const peak = rows[0][1];
+    const labelW = 96;
+    rows.forEach(([label, count], i) => {
+      const y = i * 13 + 6.5;
+      c.globalAlpha = 1;
+      c.textAlign = 'left';
+      c.fillText(label.slice(0, 14), 0, y);
+      c.textAlign = 'right';
+      c.fillText(String(count), w, y);
+      c.globalAlpha = 0.7;
+      c.fillRect(labelW, y - 4, (count / peak) * (w - labelW - 40), 8);
+    });
+    cv.setAttribute('aria-label', rows.map(([label, count]) => `${label} ${count}`).join(', '));
+  }
+
+  // Records per second over the last minute, newest on the right
+  function drawThroughput(cv) {
+    const { c, w, h } = chartContext(cv, 40);
+    const now = Math.floor(nowMs() / 1000);
+    const series = [];
+    for (let s = now - THROUGHPUT_SECONDS + 1; s <= now; s++) {
+      const inWindow = s >= 0 && s <= throughput.second && s > throughput.second - THROUGHPUT_SECONDS;
+      series.push(inWindow ? throughput.counts[s % THROUGHPUT_SECONDS] : 0);
+    }
+    const peak = Math.max(1, ...series);
+    c.beginPath();
+    series.forEach((v, i) => {
+      const x = (i / (series.length - 1)) * w;
+      const y = h - 2 - (v / peak) * (h - 12);
+      if (i === 0) c.moveTo(x, y);
+      else c.lineTo(x, y);
+    });
+    c.stroke();
+    const recent = series.slice(-10).reduce((a, b) => a + b, 0) / 10;
+    c.textAlign = 'right';
+    c.fillText(`${recent.toFixed(1)}/s · peak ${peak}`, w, 6);
+    cv.setAttribute('aria-label', `${recent.toFixed(1)} records per second over the last 10 seconds`);
+  }
+
+  // Offers the fields seen so far; keeps the user's pick, else the first
+  // preferred field present, else the first one not shown elsewhere
+  function syncFieldSelect(sel, kind, preferred, taken) {
+    const fields = kind === 'numeric'
+      ? [...numeric.keys()]
+      : [...categories].filter(([, cat]) => !cat.wide).map(([path]) => path);
+    if (fields.join('\n') !== [...sel.options].map(o => o.value).join('\n')) {
+      const keep = sel.value;
+      sel.replaceChildren(...fields.map(f => new Option(f, f)));
+      sel.value = fields.includes(keep) ? keep : preferred.find(f => fields.includes(f)) || fields.find(f => !taken.has(f)) || fields[0] || '';
+    }
+    taken.add(sel.value);
+    return sel.value;
+  }
+
+  function render() {
+    qs('btnAnalytics').textContent = rules.length ? `Analytics · ${alertTotal()} alerts` : 'Analytics';
+    if (qs('analytics').hidden) return;
+    qs('anTotal').textContent = `${total} records`;
+    const taken = new Set();
+    for (const [chart, [select, kind, preferred]] of Object.entries(CHARTS)) {
+      const field = syncFieldSelect(qs(select), kind, preferred, taken);
+      if (kind === 'numeric') drawHistogram(qs(chart), numeric.get(field));
+      else drawCounts(qs(chart), categories.get(field));
+    }
+    drawThroughput(qs('anThroughput'));
+    qs('alertCounts').replaceChildren(...rules.map(rule => {
+      const row = document.createElement('div');
+      row.className = 'row';
+      row.textContent = `${rule.count} × ${rule.text}`;
+      return row;
+    }));
+  }
+
+  function bind() {
+    capsules.onRecord = add;
+    capsules.alertTest = isAlert;
+    qs('btnAnalytics').addEventListener('click', () => {
+      qs('analytics').hidden = !qs('analytics').hidden;
+      render();
+    });
+    qs('btnAnalyticsClose').addEventListener('click', () => { qs('analytics').hidden = true; });
+    qs('btnAnalyticsReset').addEventListener('click', reset);
+    qs('alertRules').value = CONFIG.alertRules;
+    qs('alertRules').addEventListener('change', e => {
+      CONFIG.alertRules = e.target.value;
+      setRules(CONFIG.alertRules);
+      render();
+    });
+    Object.values(CHARTS).forEach(([select]) => qs(select).addEventListener('change', render));
+    setRules(CONFIG.alertRules);
+  }
+
+  return { bind, render, reset, clearFields, add, isAlert };
+})();
+
+// ---------------------------- UI Bindings ---------------------------------
+const UI = (() => {
+  function bind() {
+    const qs = id => document.getElementById(id);
+    qs('density').addEventListener('input', e => { CONFIG.densityScale = parseFloat(e.target.value); }); // update() fits the columns
+    qs('speed').addEventListener('input', e => { CONFIG.speedScale = parseFloat(e.target.value); });
+    qs('depthLayers').addEventListener('input', e => { CONFIG.depthLayers = parseInt(e.target.value, 10); }); // update() fits the layers
+    qs('wind').addEventListener('input', e => { CONFIG.wind = parseFloat(e.target.value); });
+    qs('pointer').addEventListener('change', e => { CONFIG.pointer = e.target.value; });
+    qs('capsuleRate').addEventListener('input', e => { CONFIG.capsuleRateScale = parseFloat(e.target.value); });
+    qs('glow').addEventListener('input', e => {
+      CONFIG.glowIntensity = parseFloat(e.target.value);
+      applyGlow();
+    });
+    qs('showCode').addEventListener('change', e => { CONFIG.showCode = e.target.checked; });
+    renderModeControls();
+    qs('theme').addEventListener('change', e => { CONFIG.theme = e.target.value; applyTheme(Themes.get(CONFIG.theme)); });
+    qs('glyphPack').addEventListener('change', e => {
+      CONFIG.glyphPack = e.target.value;
+      qs('glyphCustom').hidden = CONFIG.glyphPack !== 'custom';
+      rain.rebuildGlyphs();
+    });
+    qs('glyphCustom').addEventListener('input', e => { CONFIG.glyphCustom = e.target.value; rain.rebuildGlyphs(); });
+    qs('glyphSize').addEventListener('input', e => { CONFIG.glyphSize = parseInt(e.target.value, 10); rain.rebuildGlyphs(); });
+    qs('glyphFont').addEventListener('change', e => {
+      CONFIG.glyphFont = e.target.value.trim() || 'ui-monospace, monospace';
+      rain.rebuildGlyphs();
+      // web fonts may still be loading; rebuild again once they are usable
+      if (document.fonts) document.fonts.load(`${CONFIG.glyphSize}px ${CONFIG.glyphFont}`).then(() => rain.rebuildGlyphs(), () => {});
+    });
+    qs('showFps').addEventListener('change', e => { CONFIG.showFps = e.target.checked; fpsEl.style.opacity = CONFIG.showFps ? '0.9' : '0'; });
+    qs('btnShot').addEventListener('click', screenshot);
+    qs('renderer').value = CONFIG.renderer;
+    qs('renderer').addEventListener('change', e => { CONFIG.renderer = e.target.value; setRenderer(CONFIG.renderer); });
+    qs('targetFps').addEventListener('change', e => { CONFIG.targetFps = parseInt(e.target.value, 10) || 0; governor.reset(); });
+    qs('btnBench').addEventListener('click', () => bench.start(CONFIG.benchColumns));
+    bindRecorder(qs);
+    bindThemeEditor(qs);
+    bindPoster(qs);
+    bindReveal(qs);
+    bindRedaction(qs);
+    bindSession(qs);
+    qs('seed').addEventListener('change', e => reseed(e.target.value.trim() || randomSeed()));
+    qs('btnReseed').addEventListener('click', () => reseed(randomSeed()));
+    qs('source').addEventListener('change', e => {
+      CONFIG.source = e.target.value;
+      qs('sourceUrlRow').hidden = !['ws', 'sse'].includes(CONFIG.source);
+      qs('sourceFileRow').hidden = qs('sourceRateRow').hidden = CONFIG.source !== 'file';
+      qs('simRow').hidden = CONFIG.source !== 'sim';
+      qs('sourceUrl').placeholder = CONFIG.source === 'sse' ? 'http://localhost:8787/events' : 'ws://localhost:8787';
+      if (CONFIG.source === 'synthetic') capsules.setSource(new SyntheticSource());
+      if (CONFIG.source === 'sim') capsules.setSource(new SimulationSource());
+    });
+    qs('sourceUrl').addEventListener('input', e => { CONFIG.sourceUrl = e.target.value.trim(); });
+    qs('btnConnect').addEventListener('click', () => {
+      CONFIG.sourceUrl = qs('sourceUrl').value.trim();
+      if (!CONFIG.sourceUrl) return;
+      capsules.setSource(CONFIG.source === 'ws' ? new SocketSource(CONFIG.sourceUrl) : new EventStreamSource(CONFIG.sourceUrl));
+    });
+    qs('sourceFile').addEventListener('change', async e => {
+      const file = e.target.files[0];
+      if (file) capsules.setSource(new FileReplaySource(file.name, await file.text()));
+    });
+    qs('replayRate').addEventListener('input', e => { CONFIG.replayRate = parseFloat(e.target.value); });
+    qs('simPopulation').addEventListener('input', e => { CONFIG.simPopulation = parseInt(e.target.value, 10); });
+    qs('simArrivals').addEventListener('input', e => { CONFIG.simArrivals = parseFloat(e.target.value); });
+    qs('maxCapsules').addEventListener('input', e => { CONFIG.maxCapsules = parseInt(e.target.value, 10); });
+    qs('layout').addEventListener('change', e => { CONFIG.layout = e.target.value; capsules.layout.reflow(true); });
+    bindSchemaEditor(qs);
+    // ?dense / ?fast / ?renderer are applied by Settings.restore()
+  }
+  // One checkbox + weight slider per registered render mode; rebuilt when
+  // settings are applied so the controls match CONFIG.renderModes
+  function renderModeControls() {
+    const qs = id => document.getElementById(id);
+    const rows = RenderModes.list().map(mode => {
+      const cfg = CONFIG.renderModes[mode.name];
+      const row = document.createElement('div');
+      row.className = 'row';
+      row.innerHTML = `<label><input type="checkbox" /> ${mode.label}</label>`
+        + `<input type="range" min="0" max="3" step="0.1" title="weight" aria-label="${mode.label} weight" />`;
+      const [toggle, weight] = row.querySelectorAll('input');
+      toggle.checked = cfg.enabled;
+      weight.value = cfg.weight;
+      toggle.addEventListener('change', () => { cfg.enabled = toggle.checked; });
+      weight.addEventListener('input', () => { cfg.weight = parseFloat(weight.value); });
+      return row;
+    });
+    qs('modeList').replaceChildren(...rows);
+    qs('inspectMode').replaceChildren(...RenderModes.list().map(m => new Option(m.label, m.name)));
+  }
+
+  function bindSession(qs) {
+    capsules.onSpawn = entry => session.add(entry);
+    qs('btnSessionLog').addEventListener('click', () => {
+      if (session.active) session.stop();
+      else session.start();
+      refreshStatus();
+    });
+    const name = ext => `matrix-session-${new Date().toISOString().replace(/[:.]/g, '-')}.${ext}`;
+    qs('btnSessionNdjson').addEventListener('click', () => downloadText(session.toNdjson(), name('ndjson'), 'application/x-ndjson'));
+    qs('btnSessionCsv').addEventListener('click', () => downloadText(session.toCsv(), name('csv'), 'text/csv'));
+    qs('sessionFile').addEventListener('change', async e => {
+      const file = e.target.files[0];
+      if (!file) return;
+      e.target.value = '';
+      try {
+        capsules.clear();
+        capsules.setSource(new SessionReplaySource(file.name, parseSessionLog(await file.text())));
+        qs('replayRow').hidden = false;
+        qs('replayScrub').max = capsules.source.duration;
+        qs('replaySpeed').value = '1';
+      } catch (err) {
+        capsules.feed.report(`${file.name}: ${err.message}`);
+      }
+    });
+    const replay = () => (capsules.source instanceof SessionReplaySource ? capsules.source : null);
+    qs('btnReplayPlay').addEventListener('click', () => {
+      const r = replay();
+      if (!r) return;
+      if (!r.playing && r.index >= r.entries.length) r.seek(0);
+      r.playing = !r.playing;
+    });
+    qs('replaySpeed').addEventListener('change', e => { if (replay()) replay().speed = parseFloat(e.target.value); });
+    // the slider follows playback except while it's being dragged
+    qs('replayScrub').addEventListener('input', () => { scrubbing = true; });
+    qs('replayScrub').addEventListener('change', e => {
+      scrubbing = false;
+      if (replay()) replay().seek(parseFloat(e.target.value));
+    });
+    qs('btnReplayExit').addEventListener('click', () => {
+      qs('replayRow').hidden = true;
+      capsules.clear();
+      qs('source').dispatchEvent(new Event('change'));
+      if (['ws', 'sse'].includes(CONFIG.source)) qs('btnConnect').click();
+      else if (CONFIG.source === 'file') capsules.setSource(new SyntheticSource()); // the file has to be picked again
+    });
+  }
+
+  function bindRecorder(qs) {
+    const btn = qs('btnRecord');
+    if (!SceneRecorder.mimeType()) {
+      btn.disabled = true;
+      btn.title = 'WebM recording is not supported in this browser';
+      return;
+    }
+    qs('recSize').addEventListener('change', e => { CONFIG.recordSize = e.target.value; });
+    qs('recFps').addEventListener('change', e => { CONFIG.recordFps = parseInt(e.target.value, 10); });
+    qs('recMax').addEventListener('change', e => {
+      CONFIG.recordMaxSeconds = clamp(parseInt(e.target.value, 10) || 30, 1, 600);
+      e.target.value = CONFIG.recordMaxSeconds;
+    });
+    btn.addEventListener('click', () => {
+      if (recorder.active) recorder.stop();
+      else recorder.start({ size: CONFIG.recordSize, fps: CONFIG.recordFps, maxSeconds: CONFIG.recordMaxSeconds });
+      refreshStatus();
+    });
+  }
+
+  // Saved custom themes follow the built-ins in the Theme select
+  function themeOptions(selected) {
+    const sel = document.getElementById('theme');
+    sel.querySelectorAll('optgroup').forEach(g => g.remove());
+    const names = Object.keys(Themes.custom()).filter(name => !Themes.isBuiltin(name));
+    if (names.length) {
+      const g = document.createElement('optgroup');
+      g.label = 'Custom';
+      g.append(...names.map(name => new Option(name, name)));
+      sel.append(g);
+    }
+    sel.value = selected;
+  }
+
+  // <input type="color"> only takes #rrggbb
+  const colorHex = css => `#${cssColorToRgb(css).map(v => Math.round(v * 255).toString(16).padStart(2, '0')).join('')}`;
+
+  // Edits a draft copy of the selected theme and previews it live; the
+  // selection (CONFIG.theme) only moves on Save/Import, and closing the
+  // editor or Revert drops unsaved edits
+  function bindThemeEditor(qs) {
+    const sel = qs('theme');
+    const status = text => { qs('themeStatus').textContent = text; };
+    let draft = null;
+    const rows = Object.entries(THEME_FIELDS).map(([key, field]) => {
+      const row = document.createElement('div');
+      row.className = 'row';
+      row.innerHTML = `<span>${field.label}</span><span><input type="color" aria-label="${field.label}" />`
+        + (field.gradient ? ` <label title="Vertical gradient"><input type="checkbox" /> to</label> <input type="color" aria-label="${field.label} bottom" />` : '')
+        + '</span>';
+      const [top, gradient, bottom] = row.querySelectorAll('input');
+      const show = () => {
+        const v = draft[key];
+        top.value = colorHex(Array.isArray(v) ? v[0] : v);
+        if (!gradient) return;
+        gradient.checked = Array.isArray(v);
+        bottom.value = colorHex(Array.isArray(v) ? v[1] : v);
+        bottom.disabled = !gradient.checked;
+      };
+      const edit = () => {
+        draft[key] = gradient && gradient.checked ? [top.value, bottom.value] : top.value;
+        if (gradient) bottom.disabled = !gradient.checked;
+        applyTheme(draft);
+      };
+      row.addEventListener('input', edit);
+      row.addEventListener('change', edit);
+      return { row, show };
+    });
+    qs('themeFields').replaceChildren(...rows.map(r => r.row));
+
+    function load(name) {
+      draft = JSON.parse(JSON.stringify(Themes.get(name)));
+      rows.forEach(r => r.show());
+      qs('themeHueJitter').value = draft.hueJitter;
+      qs('themeName').value = Themes.isBuiltin(name) ? '' : name;
+    }
+
+    // selecting through the change handler persists it like any setting
+    function select(name) {
+      sel.value = name;
+      sel.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    function revert() {
+      load(CONFIG.theme);
+      applyTheme(Themes.get(CONFIG.theme));
+    }
+
+    themeOptions(CONFIG.theme);
+    load(CONFIG.theme);
+    sel.addEventListener('change', () => load(CONFIG.theme));
+    qs('themeEditor').addEventListener('toggle', e => {
+      if (e.target.open) load(CONFIG.theme);
+      else revert();
+    });
+    qs('themeHueJitter').addEventListener('input', e => {
+      draft.hueJitter = parseFloat(e.target.value);
+      applyTheme(draft);
+    });
+    qs('btnThemeRevert').addEventListener('click', () => { revert(); status('reverted'); });
+    qs('btnThemeSave').addEventListener('click', () => {
+      const name = qs('themeName').value.trim();
+      if (!name) return status('enter a name');
+      if (Themes.isBuiltin(name)) return status(`${name} is built in`);
+      Themes.save(name, draft);
+      themeOptions(CONFIG.theme);
+      select(name);
+      status(`saved ${name}`);
+    });
+    qs('btnThemeDelete').addEventListener('click', () => {
+      const name = qs('themeName').value.trim();
+      if (!(name in Themes.custom())) return status('pick a saved theme');
+      Themes.remove(name);
+      themeOptions(CONFIG.theme);
+      if (CONFIG.theme === name) select('green');
+      status(`deleted ${name}`);
+    });
+    qs('btnThemeExport').addEventListener('click', () => {
+      const name = qs('themeName').value.trim() || 'custom';
+      downloadText(JSON.stringify({ version: 1, themes: { [name]: draft } }, null, 2), `matrix-stream-theme-${name.replace(/\W+/g, '-')}.json`, 'application/json');
+    });
+    // { themes: { name: theme } } or a bare theme (named after the file)
+    qs('themeFile').addEventListener('change', async e => {
+      const file = e.target.files[0];
+      if (!file) return;
+      e.target.value = '';
+      let data;
+      try {
+        data = JSON.parse(await file.text());
+      } catch (err) {
+        return status(`import failed: ${err.message}`);
+      }
+      const bare = isRecord(data) && Object.keys(THEME_FIELDS).some(key => key in data);
+      const incoming = bare ? { [file.name.replace(/\.json$/i, '')]: data } : isRecord(data) && isRecord(data.themes) ? data.themes : {};
+      const errors = [];
+      const valid = [];
+      for (const [name, theme] of Object.entries(incoming)) {
+        const parsed = parseTheme(theme);
+        if (Themes.isBuiltin(name)) errors.push(`${name}: built-in name`);
+        else if (parsed.errors.length) errors.push(...parsed.errors.map(msg => `${name}: ${msg}`));
+        else {
+          Themes.save(name, parsed.theme);
+          valid.push(name);
+        }
+      }
+      if (!valid.length) return status(`import failed: ${errors[0] || 'no themes found'}`);
+      themeOptions(CONFIG.theme);
+      select(valid[0]);
+      status(`imported ${valid.length}${errors.length ? `, skipped: ${errors.join('; ')}` : ''}`);
+    });
+  }
+
+  function bindPoster(qs) {
+    qs('posterSize').addEventListener('change', e => { CONFIG.posterSize = e.target.value.trim(); });
+    qs('posterFormat').addEventListener('change', e => { CONFIG.posterFormat = e.target.value; });
+    qs('btnPoster').addEventListener('click', () => {
+      exportPoster(CONFIG.posterSize, CONFIG.posterFormat, msg => { qs('posterStatus').textContent = msg; });
+    });
+  }
+
+  // {field} placeholders come from the newest typed capsule; a message whose
+  // fields are missing is skipped
+  function fillMessage(text) {
+    const record = capsules.latestRecord();
+    let missing = false;
+    const out = text.replace(/\{([\w.]+)\}/g, (_, path) => {
+      const v = record ? fieldAt(record, path) : undefined;
+      if (v === undefined || v === null || typeof v === 'object') missing = true;
+      return missing ? '' : String(v);
+    });
+    return missing ? '' : out;
+  }
+
+  // Presets show their rules read-only; Custom edits CONFIG.redactionRules,
+  // starting from the preset it was switched from
+  function bindRedaction(qs) {
+    const sync = () => {
+      const custom = CONFIG.redaction === 'custom';
+      qs('redactionRules').hidden = !custom;
+      qs('redactionPreset').hidden = custom || !REDACTION_PRESETS[CONFIG.redaction];
+      qs('redactionPreset').textContent = REDACTION_PRESETS[CONFIG.redaction] || '';
+      qs('redactionErrors').replaceChildren(...Redaction.errors(CONFIG).map(msg => {
+        const li = document.createElement('li');
+        li.textContent = msg;
+        return li;
+      }));
+      const label = Redaction.label(CONFIG);
+      qs('redactionBadge').textContent = label;
+      qs('redactionBadge').hidden = !label;
+    };
+    // capsules on screen, the inspector and the charts follow rule changes
+    const rerender = () => {
+      capsules.redact();
+      Inspector.refresh();
+      Analytics.clearFields();
+    };
+    qs('redaction').addEventListener('change', e => {
+      const previous = REDACTION_PRESETS[CONFIG.redaction];
+      CONFIG.redaction = e.target.value;
+      if (CONFIG.redaction === 'custom' && !CONFIG.redactionRules.trim() && previous) qs('redactionRules').value = CONFIG.redactionRules = previous;
+      sync();
+      rerender();
+    });
+    qs('redactionRules').addEventListener('change', e => {
+      CONFIG.redactionRules = e.target.value;
+      sync();
+      rerender();
+    });
+    qs('btnRedactionKey').addEventListener('click', () => {
+      Redaction.regenerateKey();
+      rerender();
+    });
+    sync();
+  }
+
+  function bindReveal(qs) {
+    let logo = null;
+    const items = () => [logo, ...CONFIG.revealMessages.split('\n')];
+    qs('revealMessages').addEventListener('input', e => { CONFIG.revealMessages = e.target.value; });
+    qs('revealHold').addEventListener('input', e => { CONFIG.revealHold = parseFloat(e.target.value); });
+    qs('revealDissolve').addEventListener('input', e => { CONFIG.revealDissolve = parseFloat(e.target.value); });
+    qs('revealCycle').addEventListener('change', e => { CONFIG.revealCycle = e.target.checked; });
+    qs('btnReveal').addEventListener('click', () => rain.reveal.play(items(), fillMessage));
+    qs('btnRevealDissolve').addEventListener('click', () => rain.reveal.dissolve());
+    qs('revealLogo').addEventListener('change', e => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (!file) return;
+      const img = new Image();
+      const url = URL.createObjectURL(file);
+      img.onload = () => {
+        URL.revokeObjectURL(url);
+        logo = img;
+        qs('btnRevealLogoClear').hidden = false;
+        rain.reveal.play(items(), fillMessage);
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        qs('revealStatus').textContent = `${file.name}: not an image`;
+      };
+      img.src = url;
+    });
+    qs('btnRevealLogoClear').addEventListener('click', e => {
+      logo = null;
+      e.target.hidden = true;
+      if (rain.reveal.items.some(item => typeof item !== 'string')) rain.reveal.dissolve();
+    });
+  }
+
+  // ?msg= and sequencer events: messages separated by '|'
+  const reveal = text => rain.reveal.play(text.split('|'), fillMessage);
+
+  function bindSchemaEditor(qs) {
+    const text = qs('schemaText');
+    const show = schema => { text.value = JSON.stringify(schema, null, 2); };
+    const report = (errors, okMsg) => {
+      qs('schemaErrors').replaceChildren(...errors.map(msg => {
+        const li = document.createElement('li');
+        li.textContent = msg;
+        return li;
+      }));
+      qs('schemaState').textContent = errors.length ? `${errors.length} error(s)` : okMsg;
+    };
+    qs('btnSchema').addEventListener('click', () => {
+      const panel = qs('schemaPanel');
+      panel.hidden = !panel.hidden;
+      if (!panel.hidden && !text.value) show(ProfileFactory.getSchema());
+    });
+    qs('btnSchemaClose').addEventListener('click', () => { qs('schemaPanel').hidden = true; });
+    qs('schemaPreset').addEventListener('change', e => { show(SCHEMA_PRESETS[e.target.value]); report([], 'preset loaded, not applied'); });
+    qs('schemaFile').addEventListener('change', async e => {
+      const file = e.target.files[0];
+      if (!file) return;
+      text.value = await file.text();
+      report([], `${file.name} loaded, not applied`);
+    });
+    qs('btnSchemaApply').addEventListener('click', () => {
+      let schema;
+      try {
+        schema = JSON.parse(text.value);
+      } catch (err) {
+        return report([`JSON: ${err.message}`]);
+      }
+      report(ProfileFactory.setSchema(schema), `applied "${schema.name || 'schema'}"`);
+    });
+  }
+
+  // Source line in the panel: connection state, backlog and bad records
+  let scrubbing = false;
+
+  function refreshStatus() {
+    const { source, feed } = capsules;
+    const parts = [source.status, `backlog ${feed.backlog}`];
+    if (feed.dropped) parts.push(`dropped ${feed.dropped}`);
+    if (feed.bad) parts.push(`bad ${feed.bad}`);
+    if (capsules.crowded) parts.push(`overlapped ${capsules.crowded}`);
+    const el = document.getElementById('sourceStatus');
+    el.textContent = parts.join(' · ');
+    el.title = feed.lastError;
+
+    const t = Math.floor(recorder.elapsed);
+    const rec = recorder.active
+      ? `REC ${String(Math.floor(t / 60)).padStart(2, '0')}:${String(t % 60).padStart(2, '0')} · ${(recorder.bytes / 1048576).toFixed(1)} MB`
+      : recorder.error;
+    document.getElementById('recStatus').textContent = rec;
+    document.getElementById('btnRecord').textContent = recorder.active ? 'Stop' : 'Record';
+
+    document.getElementById('sessionStatus').textContent = session.status;
+    document.getElementById('btnSessionLog').textContent = session.active ? 'Stop log' : 'Log session';
+    document.getElementById('btnSessionNdjson').disabled = document.getElementById('btnSessionCsv').disabled = !session.entries.length;
+    const replay = capsules.source instanceof SessionReplaySource ? capsules.source : null;
+    if (replay) {
+      document.getElementById('btnReplayPlay').textContent = replay.playing ? 'Pause' : 'Play';
+      if (!scrubbing) document.getElementById('replayScrub').value = replay.time;
+    }
+
+    document.getElementById('revealStatus').textContent = rain.reveal.status;
+
+    const r = document.getElementById('rendererStatus');
+    const note = rain.renderer.note ? ` (${rain.renderer.note})` : '';
+    r.textContent = bench.status || [`renderer: ${rain.renderer.kind}${note}`, governor.status].filter(Boolean).join(' · ');
+    r.title = bench.status;
+  }
+
+  return { bind, refreshStatus, renderModeControls, reveal };
+})();
+
+// ---------------------------- Settings ------------------------------------
+// Persists CONFIG to localStorage and the URL hash, restores it on load and
+// manages presets. Values are applied through the panel controls (set value,
+// dispatch the event) so every side effect runs exactly as if the user had
+// moved the control; ranges are clamped to the control's own min/max.
+const Settings = (() => {
+  const STORE_KEY = 'matrix-stream.config';
+  const PRESETS_KEY = 'matrix-stream.presets';
+  const SETTING_LINE_MAX = 500; // characters in a text input (URLs, names)
+  const SETTING_TEXT_MAX = 20000; // in a textarea
+  const qs = id => document.getElementById(id);
+
+  // CONFIG key -> control id. renderModes is handled separately.
+  const CONTROLS = {
+    densityScale: 'density', speedScale: 'speed', depthLayers: 'depthLayers', wind: 'wind', pointer: 'pointer',
+    capsuleRateScale: 'capsuleRate', glowIntensity: 'glow',
+    maxCapsules: 'maxCapsules', layout: 'layout', motion: 'motion', announce: 'announce', alertRules: 'alertRules',
+    redaction: 'redaction', redactionRules: 'redactionRules', showCode: 'showCode', showFps: 'showFps', theme: 'theme',
+    glyphPack: 'glyphPack', glyphCustom: 'glyphCustom', glyphFont: 'glyphFont', glyphSize: 'glyphSize',
+    renderer: 'renderer', targetFps: 'targetFps', source: 'source', sourceUrl: 'sourceUrl', replayRate: 'replayRate',
+    simPopulation: 'simPopulation', simArrivals: 'simArrivals',
+    recordSize: 'recSize', recordFps: 'recFps', recordMaxSeconds: 'recMax',
+    posterSize: 'posterSize', posterFormat: 'posterFormat',
+    revealMessages: 'revealMessages', revealHold: 'revealHold', revealDissolve: 'revealDissolve', revealCycle: 'revealCycle',
+  };
+
+  const BUILTIN_PRESETS = {
+    Calm: {
+      densityScale: 0.6, speedScale: 0.7, capsuleRateScale: 0.5, glowIntensity: 0.4,
+      maxCapsules: 6, showCode: false,
+    },
+    Overload: {
+      densityScale: 2.0, speedScale: 2.6, capsuleRateScale: 2.0, glowIntensity: 1.0,
+      maxCapsules: 30, showCode: true,
+      renderModes: { json: { enabled: true, weight: 1 }, hex: { enabled: true, weight: 1 }, base64: { enabled: true, weight: 1 }, tlv: { enabled: true, weight: 1 } },
+    },
+    Kiosk: {
+      densityScale: 1.2, speedScale: 1.0, capsuleRateScale: 0.8, glowIntensity: 0.7,
+      maxCapsules: 8, showCode: false, showFps: false,
+      renderModes: {
+        json: { enabled: true, weight: 1 }, inline: { enabled: true, weight: 2 }, table: { enabled: true, weight: 1 },
+        hex: { enabled: false, weight: 1 }, yaml: { enabled: false, weight: 0.5 }, csv: { enabled: false, weight: 0.5 },
+        base64: { enabled: false, weight: 0.5 }, tlv: { enabled: false, weight: 0.5 },
+      },
+    },
+  };
+
+  let defaults = null;
+  let saveTimer = 0;
+
+  const cloneModes = modes => JSON.parse(JSON.stringify(modes));
+
+  function snapshot() {
+    const snap = {};
+    for (const key of Object.keys(CONTROLS)) snap[key] = CONFIG[key];
+    snap.renderModes = cloneModes(CONFIG.renderModes);
+    return snap;
+  }
+
+  // Coerces `value` to what control `el` accepts; undefined means "skip"
+  function coerce(el, value) {
+    if (el.type === 'checkbox') return typeof value === 'boolean' ? value : value === '1' || value === 'true';
+    if (el.type === 'range' || el.type === 'number') {
+      const n = parseFloat(value);
+      if (!Number.isFinite(n)) return undefined;
+      return clamp(n, parseFloat(el.min), parseFloat(el.max));
+    }
+    if (el.tagName === 'SELECT') {
+      const v = String(value);
+      return Array.from(el.options).some(o => o.value === v) ? v : undefined;
+    }
+    // over-long text is refused whole: a cut rule list would drop rules
+    return typeof value === 'string' && value.length <= textLimit(el) ? value : undefined;
+  }
+
+  // Multi-line fields (alert and redaction rules, reveal messages) get more room
+  const textLimit = el => (el.tagName === 'TEXTAREA' ? SETTING_TEXT_MAX : SETTING_LINE_MAX);
+
+  // Applies a partial snapshot; unknown keys and bad values are ignored
+  function apply(partial) {
+    if (!isRecord(partial)) return;
+    const prevSource = [CONFIG.source, CONFIG.sourceUrl].join(' ');
+    const tooLong = [];
+    for (const [key, id] of Object.entries(CONTROLS)) {
+      if (!(key in partial)) continue;
+      const el = qs(id);
+      const v = coerce(el, partial[key]);
+      if (v === undefined && typeof partial[key] === 'string' && partial[key].length > textLimit(el)) tooLong.push(key);
+      if (v === undefined || String(v) === String(CONFIG[key])) continue;
+      const before = el.type === 'checkbox' ? el.checked : el.value;
+      if (el.type === 'checkbox') el.checked = v;
+      else el.value = String(v);
+      // ranges snap to their step; an eased value often lands on the same one
+      if ((el.type === 'checkbox' ? el.checked : el.value) === before) continue;
+      // handlers listen to one or the other; no control has both
+      el.dispatchEvent(new Event('input'));
+      el.dispatchEvent(new Event('change'));
+    }
+    if (isRecord(partial.renderModes)) {
+      for (const [name, cfg] of Object.entries(partial.renderModes)) {
+        const current = CONFIG.renderModes[name];
+        if (!current || !isRecord(cfg)) continue;
+        if (typeof cfg.enabled === 'boolean') current.enabled = cfg.enabled;
+        if (Number.isFinite(cfg.weight)) current.weight = clamp(cfg.weight, 0, 3);
+      }
+      UI.renderModeControls();
+    }
+    // reconnect when a restored ws/sse endpoint differs from the current one
+    const push = ['ws', 'sse'].includes(CONFIG.source);
+    if (push && CONFIG.sourceUrl && [CONFIG.source, CONFIG.sourceUrl].join(' ') !== prevSource) qs('btnConnect').click();
+    if (tooLong.length) presetStatus(`ignored over-long ${tooLong.join(', ')}`);
+  }
+
+  // Hash form: non-default values only, modes as `name:weight` (! = off)
+  function toHash(snap) {
+    const params = new URLSearchParams();
+    for (const key of Object.keys(CONTROLS)) {
+      if (String(snap[key]) === String(defaults[key])) continue;
+      params.set(key, typeof snap[key] === 'boolean' ? (snap[key] ? '1' : '0') : snap[key]);
+    }
+    if (JSON.stringify(snap.renderModes) !== JSON.stringify(defaults.renderModes)) {
+      params.set('renderModes', Object.entries(snap.renderModes)
+        .map(([name, m]) => `${m.enabled ? '' : '!'}${name}:${m.weight}`).join(','));
+    }
+    return params.toString();
+  }
+
+  function fromHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const partial = {};
+    for (const [key, value] of params) {
+      if (key in CONTROLS) partial[key] = value;
+    }
+    if (params.has('renderModes')) {
+      partial.renderModes = {};
+      for (const item of params.get('renderModes').split(',')) {
+        const [, off, name, weight] = /^(!?)([\w-]+):([\d.]+)$/.exec(item) || [];
+        if (name) partial.renderModes[name] = { enabled: !off, weight: parseFloat(weight) };
+      }
+    }
+    return partial;
+  }
+
+  function readStore(key) {
+    try {
+      return JSON.parse(localStorage.getItem(key) || 'null');
+    } catch {
+      return null;
+    }
+  }
+
+  function writeStore(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch {}
+  }
+
+  function save() {
+    const snap = snapshot();
+    writeStore(STORE_KEY, snap);
+    try {
+      const url = new URL(location.href);
+      url.hash = toHash(snap);
+      history.replaceState(null, '', url);
+    } catch {}
+  }
+
+  function scheduleSave() {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(save, 300);
+  }
+
+  function shareLink() {
+    const url = new URL(location.href);
+    url.searchParams.set('seed', CONFIG.seed);
+    url.hash = toHash(snapshot());
+    return url.toString();
+  }
+
+  // ---- presets: built-ins are read-only, user presets live in localStorage
+  const userPresets = () => {
+    const p = readStore(PRESETS_KEY);
+    return isRecord(p) ? p : {};
+  };
+
+  function presetOptions(selected) {
+    const builtins = ['Default', ...Object.keys(BUILTIN_PRESETS)].map(name => new Option(name, `builtin:${name}`));
+    const users = Object.keys(userPresets()).map(name => new Option(name, `user:${name}`));
+    const groups = [['Built-in', builtins], ['Saved', users]].filter(([, opts]) => opts.length).map(([label, opts]) => {
+      const g = document.createElement('optgroup');
+      g.label = label;
+      g.append(...opts);
+      return g;
+    });
+    qs('preset').replaceChildren(new Option('—', ''), ...groups);
+    qs('preset').value = selected || '';
+  }
+
+  function presetStatus(text) { qs('presetState').textContent = text; }
+
+  function selectedUserPreset() {
+    const v = qs('preset').value;
+    return v.startsWith('user:') ? v.slice(5) : '';
+  }
+
+  function bind() {
+    qs('preset').addEventListener('change', e => {
+      const [kind, name] = e.target.value.split(/:(.*)/);
+      if (!name) return;
+      const preset = kind === 'user' ? userPresets()[name] : name === 'Default' ? defaults : BUILTIN_PRESETS[name];
+      apply(preset);
+      qs('presetName').value = kind === 'user' ? name : '';
+      presetStatus(`applied ${name}`);
+      scheduleSave();
+    });
+    qs('btnPresetSave').addEventListener('click', () => {
+      const name = qs('presetName').value.trim();
+      if (!name) return presetStatus('enter a name');
+      writeStore(PRESETS_KEY, { ...userPresets(), [name]: snapshot() });
+      presetOptions(`user:${name}`);
+      presetStatus(`saved ${name}`);
+    });
+    qs('btnPresetRename').addEventListener('click', () => {
+      const from = selectedUserPreset();
+      const to = qs('presetName').value.trim();
+      if (!from || !to) return presetStatus('pick a saved preset and a new name');
+      const presets = userPresets();
+      presets[to] = presets[from];
+      if (to !== from) delete presets[from];
+      writeStore(PRESETS_KEY, presets);
+      presetOptions(`user:${to}`);
+      presetStatus(`renamed to ${to}`);
+    });
+    qs('btnPresetDelete').addEventListener('click', () => {
+      const name = selectedUserPreset();
+      if (!name) return presetStatus('pick a saved preset');
+      const presets = userPresets();
+      delete presets[name];
+      writeStore(PRESETS_KEY, presets);
+      presetOptions();
+      presetStatus(`deleted ${name}`);
+    });
+    qs('btnPresetExport').addEventListener('click', () => {
+      downloadText(JSON.stringify({ version: 1, presets: userPresets() }, null, 2), 'matrix-stream-presets.json', 'application/json');
+    });
+    qs('presetFile').addEventListener('change', async e => {
+      const file = e.target.files[0];
+      if (!file) return;
+      e.target.value = '';
+      let data;
+      try {
+        data = JSON.parse(await file.text());
+      } catch (err) {
+        return presetStatus(`import failed: ${err.message}`);
+      }
+      const incoming = isRecord(data) && isRecord(data.presets) ? data.presets : data;
+      const valid = isRecord(incoming) ? Object.entries(incoming).filter(([name, p]) => name && isRecord(p)) : [];
+      if (valid.length === 0) return presetStatus('import failed: no presets found');
+      writeStore(PRESETS_KEY, { ...userPresets(), ...Object.fromEntries(valid) });
+      presetOptions();
+      presetStatus(`imported ${valid.length}`);
+    });
+    qs('btnCopyLink').addEventListener('click', async () => {
+      presetStatus((await copyText(shareLink())) ? 'link copied' : 'copy failed');
+    });
+    // any mapped control (or render-mode row) persists, debounced
+    const ids = new Set(Object.values(CONTROLS));
+    const persist = e => { if (ids.has(e.target.id) || e.target.closest('#modeList')) scheduleSave(); };
+    document.addEventListener('input', persist);
+    document.addEventListener('change', persist);
+    window.addEventListener('hashchange', () => apply(fromHash(location.hash)));
+  }
+
+  // Startup: defaults <- localStorage <- URL hash <- legacy ?dense/?fast/?renderer
+  function restore() {
+    defaults = snapshot();
+    presetOptions();
+    const layers = [readStore(STORE_KEY), fromHash(location.hash)];
+    try {
+      const params = new URLSearchParams(location.search);
+      const legacy = {};
+      if (params.has('dense')) legacy.densityScale = 1.6;
+      if (params.has('fast')) legacy.speedScale = 2.0;
+      if (params.has('renderer')) legacy.renderer = params.get('renderer');
+      layers.push(legacy);
+    } catch {}
+    for (const layer of layers) {
+      try {
+        apply(layer);
+      } catch {
+        presetStatus('ignored bad saved settings');
+      }
+    }
+    save();
+  }
+
+  // CONFIG key bound to a control element ('renderModes' for the mode rows)
+  function controlKey(el) {
+    if (el.closest && el.closest('#modeList')) return 'renderModes';
+    return Object.keys(CONTROLS).find(key => CONTROLS[key] === el.id) || '';
+  }
+
+  return { bind, restore, apply, controlKey, snapshot, shareLink };
+})();
+
+// ---------------------------- Sequencer -----------------------------------
+// Unattended playback of a JSON timeline of scenes. Each scene eases numeric
+// CONFIG fields from wherever they are to its `set` values over `transition`
+// seconds, switches the rest (theme, render modes, ...) on entry, and fires
+// timed events. Values go through Settings.apply(), so every control side
+// effect runs; nothing is persisted (its events don't bubble to the saver).
+// Touching a control hands that field to the operator for SEQ_OVERRIDE_S;
+// the sequence then eases it back.
+//
+//   { "loop": true, "scenes": [ { "name": "calm", "duration": 20,
+//     "transition": 4, "ease": "inOut", "set": { "speedScale": 0.7 },
+//     "events": [ { "at": 5, "type": "burst", "count": 6 },
+//                 { "at": 9, "type": "flash", "theme": "magenta", "duration": 0.6 },
+//                 { "at": 12, "type": "message", "text": "WAKE UP|{name}" } ] } ] }
+const SEQ_OVERRIDE_S = 8;
+const SEQ_HANDBACK_S = 2;
+const SEQ_EVENTS = ['burst', 'flash', 'message'];
+
+const EASINGS = {
+  linear: t => t,
+  in: t => t * t * t,
+  out: t => 1 - (1 - t) ** 3,
+  inOut: t => (t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2),
+};
+
+const DEFAULT_TIMELINE = {
+  loop: true,
+  scenes: [
+    {
+      name: 'calm', duration: 20, transition: 4, ease: 'inOut',
+      set: { speedScale: 0.7, densityScale: 0.6, glowIntensity: 0.4, capsuleRateScale: 0.5, theme: 'green' },
+    },
+    {
+      name: 'surge', duration: 15, transition: 3, ease: 'in',
+      set: {
+        speedScale: 2.2, densityScale: 1.6, glowIntensity: 0.9, capsuleRateScale: 1.8,
+        renderModes: { hex: { enabled: true }, base64: { enabled: true } },
+      },
+      events: [{ at: 2, type: 'burst', count: 6 }, { at: 8, type: 'flash', theme: 'magenta', duration: 0.6 }],
+    },
+    {
+      name: 'title', duration: 12, transition: 2, ease: 'out',
+      set: { speedScale: 1, densityScale: 1, glowIntensity: 0.7, capsuleRateScale: 0.8, theme: 'cyan' },
+      events: [{ at: 1, type: 'message', text: 'WAKE UP' }],
+    },
+  ],
+};
+
+// Validates a timeline; `keys` are the CONFIG fields a scene may set.
+// Returns { timeline, errors } with scenes normalised and events sorted.
+function parseTimeline(data, keys) {
+  const errors = [];
+  if (!isRecord(data) || !Array.isArray(data.scenes) || !data.scenes.length) {
+    return { timeline: null, errors: ['expected { "scenes": [ ... ] } with at least one scene'] };
+  }
+  const scenes = data.scenes.map((scene, i) => {
+    const where = `scene ${i + 1}`;
+    if (!isRecord(scene)) {
+      errors.push(`${where}: not an object`);
+      return null;
+    }
+    const duration = Number(scene.duration);
+    if (!(duration > 0)) errors.push(`${where}: duration must be > 0 seconds`);
+    const transition = scene.transition === undefined ? 0 : Number(scene.transition);
+    if (!(transition >= 0)) errors.push(`${where}: transition must be >= 0 seconds`);
+    const ease = scene.ease || 'inOut';
+    if (!EASINGS[ease]) errors.push(`${where}: ease must be one of ${Object.keys(EASINGS).join(', ')}`);
+    const set = isRecord(scene.set) ? scene.set : {};
+    for (const key of Object.keys(set)) {
+      if (key !== 'renderModes' && !keys.includes(key)) errors.push(`${where}: unknown setting "${key}"`);
+    }
+    const events = Array.isArray(scene.events) ? scene.events : [];
+    events.forEach((ev, j) => {
+      if (!isRecord(ev) || !SEQ_EVENTS.includes(ev.type)) errors.push(`${where} event ${j + 1}: type must be ${SEQ_EVENTS.join(', ')}`);
+      else if (!(Number(ev.at) >= 0)) errors.push(`${where} event ${j + 1}: "at" must be >= 0 seconds`);
+    });
+    return {
+      name: String(scene.name || `scene ${i + 1}`),
+      duration, transition: Math.min(transition, duration), ease, set,
+      events: events.filter(isRecord).slice().sort((a, b) => a.at - b.at),
+    };
+  });
+  if (errors.length) return { timeline: null, errors };
+  return { timeline: { loop: data.loop !== false, scenes }, errors };
+}
+
+const Sequencer = (() => {
+  const STORE_KEY = 'matrix-stream.timeline';
+  const qs = id => document.getElementById(id);
+  let timeline = null;
+  let playing = false;
+  let time = 0; // seconds since the sequence started (pause-aware)
+  let index = 0;
+  let sceneStart = 0;
+  let fired = 0; // events of the current scene already fired
+  let from = {}; // numeric values at scene entry
+  let sent = {}; // last numeric values applied, to skip no-op frames
+  let flash = null; // { until, theme }
+  const overrides = new Map(); // key -> sequence time the operator's hold ends
+  const handbacks = new Map(); // key -> { from, start }
+
+  const scene = () => timeline.scenes[index];
+  const total = () => timeline.scenes.reduce((sum, s) => sum + s.duration, 0);
+  const numeric = v => typeof v === 'number' && Number.isFinite(v);
+
+  function enter(i) {
+    index = i;
+    sceneStart = time;
+    fired = 0;
+    sent = {};
+    const { set } = scene();
+    from = {};
+    const discrete = {};
+    for (const [key, value] of Object.entries(set)) {
+      if (numeric(value) && numeric(CONFIG[key])) from[key] = CONFIG[key];
+      else if (!overrides.has(key)) discrete[key] = value;
+    }
+    // a running flash ends on the new scene's theme, not the old one
+    if (flash && 'theme' in discrete) {
+      flash.theme = discrete.theme;
+      delete discrete.theme;
+    }
+    Settings.apply(discrete);
+    render();
+  }
+
+  function play() {
+    if (!timeline) return;
+    playing = true;
+    time = 0;
+    overrides.clear();
+    handbacks.clear();
+    flash = null;
+    enter(0);
+  }
+
+  function stop() {
+    playing = false;
+    if (flash) Settings.apply({ theme: flash.theme });
+    flash = null;
+    render();
+  }
+
+  function seek(i) {
+    if (!timeline) return;
+    if (!playing) play();
+    enter(i);
+  }
+
+  function fire(ev) {
+    if (ev.type === 'burst') capsules.burst(clamp(Number(ev.count) || 5, 1, 40));
+    else if (ev.type === 'message') UI.reveal(String(ev.text || ''));
+    else if (ev.type === 'flash' && ev.theme) {
+      const restore = flash ? flash.theme : CONFIG.theme;
+      flash = { until: time + (Number(ev.duration) || 0.5), theme: restore };
+      Settings.apply({ theme: ev.theme });
+    }
+  }
+
+  // Operator touched a control: hold off that field for a while
+  function onInput(e) {
+    if (!playing || !e.isTrusted) return;
+    const key = Settings.controlKey(e.target);
+    if (!key) return;
+    overrides.set(key, time + SEQ_OVERRIDE_S);
+    handbacks.delete(key);
+  }
+
+  function tick(dt) {
+    if (!playing) return;
+    time += dt;
+    let s = scene();
+    if (time - sceneStart >= s.duration) {
+      if (index + 1 < timeline.scenes.length) enter(index + 1);
+      else if (timeline.loop) enter(0);
+      else return stop();
+      s = scene();
+    }
+    const st = time - sceneStart;
+    while (fired < s.events.length && s.events[fired].at <= st) fire(s.events[fired++]);
+    if (flash && time >= flash.until) {
+      Settings.apply({ theme: flash.theme });
+      flash = null;
+    }
+    // operator holds that ran out: numeric fields ease back, the rest snap
+    for (const [key, until] of overrides) {
+      if (time < until) continue;
+      overrides.delete(key);
+      if (key in from) handbacks.set(key, { from: CONFIG[key], start: time });
+      else if (key in s.set) Settings.apply({ [key]: s.set[key] });
+    }
+    const p = s.transition > 0 ? EASINGS[s.ease](clamp(st / s.transition, 0, 1)) : 1;
+    const partial = {};
+    for (const [key, start] of Object.entries(from)) {
+      if (overrides.has(key)) continue;
+      let v = start + (s.set[key] - start) * p;
+      const back = handbacks.get(key);
+      if (back) {
+        const q = clamp((time - back.start) / SEQ_HANDBACK_S, 0, 1);
+        v = back.from + (v - back.from) * EASINGS.inOut(q);
+        if (q >= 1) handbacks.delete(key);
+      }
+      if (v !== sent[key]) partial[key] = sent[key] = v;
+    }
+    if (Object.keys(partial).length) Settings.apply(partial);
+  }
+
+  function load(data) {
+    const keys = Object.keys(Settings.snapshot()).filter(key => key !== 'renderModes');
+    const result = parseTimeline(data, keys);
+    if (result.timeline) {
+      timeline = result.timeline;
+      qs('seqLoop').checked = timeline.loop;
+      if (playing) play();
+      render();
+    }
+    return result.errors;
+  }
+
+  function status() {
+    if (!timeline) return 'no timeline';
+    if (!playing) return `${timeline.scenes.length} scenes · ${Math.round(total())}s${timeline.loop ? ' · loop' : ''}`;
+    const s = scene();
+    const held = Array.from(overrides.keys());
+    const left = Math.ceil(s.duration - (time - sceneStart));
+    return `${s.name} (${index + 1}/${timeline.scenes.length}) · ${left}s left${held.length ? ` · operator: ${held.join(', ')}` : ''}`;
+  }
+
+  // Timeline strip: one block per scene, width by duration, plus a playhead
+  function renderStrip() {
+    const strip = qs('seqStrip');
+    if (!timeline) return strip.replaceChildren();
+    const blocks = timeline.scenes.map((s, i) => {
+      const b = document.createElement('button');
+      b.className = playing && i === index ? 'scene current' : 'scene';
+      b.style.flexGrow = String(s.duration);
+      b.textContent = s.name;
+      b.title = `${s.name}: ${s.duration}s, ${s.transition}s ${s.ease}${s.events.length ? `, ${s.events.length} events` : ''} (click to preview)`;
+      b.addEventListener('click', () => seek(i));
+      return b;
+    });
+    const head = document.createElement('div');
+    head.className = 'playhead';
+    head.hidden = !playing;
+    strip.replaceChildren(...blocks, head);
+  }
+
+  function render() {
+    if (!qs('seqStrip')) return;
+    if (qs('seqStrip').children.length !== (timeline ? timeline.scenes.length + 1 : 0)) renderStrip();
+    Array.from(qs('seqStrip').querySelectorAll('.scene')).forEach((b, i) => b.classList.toggle('current', playing && i === index));
+    const head = qs('seqStrip').querySelector('.playhead');
+    if (head && timeline) {
+      head.hidden = !playing;
+      const before = timeline.scenes.slice(0, index).reduce((sum, s) => sum + s.duration, 0);
+      head.style.left = `${((before + Math.min(time - sceneStart, scene().duration)) / total()) * 100}%`;
+    }
+    qs('btnSeqPlay').textContent = playing ? 'Stop' : 'Play';
+    qs('seqStatus').textContent = status();
+    qs('btnSequencer').textContent = playing ? `Sequencer · ${scene().name}` : 'Sequencer';
+  }
+
+  function showText(data) { qs('seqText').value = JSON.stringify(data, null, 2); }
+
+  function report(errors, okMsg) {
+    qs('seqErrors').replaceChildren(...errors.map(msg => {
+      const li = document.createElement('li');
+      li.textContent = msg;
+      return li;
+    }));
+    if (!errors.length && okMsg) qs('seqStatus').textContent = okMsg;
+  }
+
+  // Textarea -> timeline; saved for the next visit when valid
+  function applyText() {
+    let data;
+    try {
+      data = JSON.parse(qs('seqText').value);
+    } catch (e) {
+      return report([`JSON: ${e.message}`]);
+    }
+    const errors = load(data);
+    report(errors, 'applied');
+    if (!errors.length) {
+      try {
+        localStorage.setItem(STORE_KEY, JSON.stringify(data));
+      } catch {}
+    }
+    return errors;
+  }
+
+  // New scene from the current look
+  function addScene() {
+    let data;
+    try {
+      data = JSON.parse(qs('seqText').value);
+    } catch {
+      data = { loop: true, scenes: [] };
+    }
+    if (!isRecord(data) || !Array.isArray(data.scenes)) data = { loop: true, scenes: [] };
+    const set = {};
+    for (const key of ['speedScale', 'densityScale', 'glowIntensity', 'capsuleRateScale', 'maxCapsules', 'theme']) set[key] = CONFIG[key];
+    set.renderModes = Object.fromEntries(Object.entries(CONFIG.renderModes).map(([name, m]) => [name, { ...m }]));
+    data.scenes.push({ name: `scene ${data.scenes.length + 1}`, duration: 15, transition: 3, ease: 'inOut', set, events: [] });
+    showText(data);
+    applyText();
+  }
+
+  function bind() {
+    let stored = null;
+    try {
+      stored = JSON.parse(localStorage.getItem(STORE_KEY) || 'null');
+    } catch {}
+    const initial = stored && parseTimeline(stored, Object.keys(Settings.snapshot())).timeline ? stored : DEFAULT_TIMELINE;
+    showText(initial);
+    load(initial);
+    qs('btnSequencer').addEventListener('click', () => { qs('sequencer').hidden = !qs('sequencer').hidden; });
+    qs('btnSeqClose').addEventListener('click', () => { qs('sequencer').hidden = true; });
+    qs('btnSeqPlay').addEventListener('click', () => (playing ? stop() : play()));
+    qs('btnSeqApply').addEventListener('click', applyText);
+    qs('btnSeqAddScene').addEventListener('click', addScene);
+    qs('seqLoop').addEventListener('change', e => {
+      try {
+        const data = JSON.parse(qs('seqText').value);
+        data.loop = e.target.checked;
+        showText(data);
+        applyText();
+      } catch {}
+    });
+    qs('btnSeqExport').addEventListener('click', () => {
+      downloadText(qs('seqText').value, 'matrix-stream-timeline.json', 'application/json');
+    });
+    qs('seqFile').addEventListener('change', async e => {
+      const file = e.target.files[0];
+      if (!file) return;
+      e.target.value = '';
+      qs('seqText').value = await file.text();
+      applyText();
+    });
+    document.addEventListener('input', onInput);
+    document.addEventListener('change', onInput);
+    render();
+  }
+
+  // ?sequence plays the saved timeline; ?sequence=<url> fetches one first
+  async function autoplay(url) {
+    if (url) {
+      try {
+        const res = await fetch(url);
+        qs('seqText').value = await res.text();
+      } catch (e) {
+        return report([`${url}: ${e.message}`]);
+      }
+      if (applyText().length) return;
+    }
+    play();
+  }
+
+  return { bind, tick, play, stop, load, autoplay, render, get playing() { return playing; } };
+})();
+
+// ---------------------------- Screenshot ----------------------------------
+// Capsules are painted from their DOM: box, border, header, wrapped text,
+// glow and opacity. describeCapsules() measures once; the canvas painter and
+// the SVG export both draw from that description, in canvas css px.
+const POSTER_MAX_SIDE = 16384; // browser canvas limits
+const POSTER_MAX_AREA = 268435456;
+
+const measureProbe = (() => {
+  let probe = null;
+  return () => (probe = probe || document.createElement('canvas').getContext('2d'));
+})();
+
+// Lines as the browser would break them: `pre` never wraps, `pre-wrap`
+// wraps at spaces (long words overflow and get clipped), break-all anywhere
+function wrapText(text, width, whiteSpace, breakAll, measure) {
+  const out = [];
+  for (const para of text.split('\n')) {
+    if (whiteSpace === 'pre' || whiteSpace === 'nowrap' || !(width > 0)) {
+      out.push(para);
+      continue;
+    }
+    let line = '';
+    for (const tok of breakAll ? Array.from(para) : para.split(/(\s+)/)) {
+      if (!tok) continue;
+      if (line && !/^\s+$/.test(tok) && measure(line + tok) > width) {
+        out.push(line.replace(/\s+$/, ''));
+        line = tok;
+      } else {
+        line += tok;
+      }
+    }
+    out.push(line);
+  }
+  return out;
+}
+
+function describeBlock(el, box) {
+  const cs = getComputedStyle(el);
+  const r = el.getBoundingClientRect();
+  const size = parseFloat(cs.fontSize) || 13;
+  const spacing = parseFloat(cs.letterSpacing) || 0;
+  const probe = measureProbe();
+  probe.font = `${size}px ${cs.fontFamily || 'monospace'}`;
+  const measure = text => probe.measureText(text).width + spacing * text.length;
+  return {
+    x: r.left - box.left,
+    y: r.top - box.top,
+    size,
+    family: cs.fontFamily || 'monospace',
+    spacing,
+    lineHeight: parseFloat(cs.lineHeight) || size * 1.25, // 'normal' parses to NaN
+    opacity: parseFloat(cs.opacity) || 1,
+    lines: wrapText(el.textContent, r.width, cs.whiteSpace, cs.wordBreak === 'break-all', measure),
+  };
+}
+
+// Visible capsules relative to the rain canvas
+function describeCapsules(root = document.getElementById('capsules'), origin = canvas.getBoundingClientRect()) {
+  return Array.from(root.querySelectorAll('.capsule')).map(node => {
+    const cs = getComputedStyle(node);
+    const r = node.getBoundingClientRect();
+    const opacity = parseFloat(node.style.opacity || cs.opacity); // inline while dissolving
+    return {
+      x: r.left - origin.left,
+      y: r.top - origin.top,
+      w: r.width,
+      h: r.height,
+      radius: parseFloat(cs.borderTopLeftRadius) || 0,
+      border: cs.borderTopColor || cs.color,
+      borderWidth: parseFloat(cs.borderTopWidth) || 1,
+      double: cs.borderTopStyle === 'double',
+      background: cs.backgroundColor || 'transparent',
+      color: cs.color,
+      glow: cs.getPropertyValue('--glow-color').trim() || cs.color,
+      opacity: Number.isFinite(opacity) ? opacity : 1,
+      blocks: Array.from(node.children).map(el => describeBlock(el, r)),
+    };
+  }).filter(cap => cap.opacity > 0);
+}
+
+function roundRectPath(c, x, y, w, h, r) {
+  r = Math.min(r, w / 2, h / 2);
+  c.beginPath();
+  c.moveTo(x + r, y);
+  c.arcTo(x + w, y, x + w, y + h, r);
+  c.arcTo(x + w, y + h, x, y + h, r);
+  c.arcTo(x, y + h, x, y, r);
+  c.arcTo(x, y, x + w, y, r);
+  c.closePath();
+}
+
+// `k`: current css px -> device px scale; shadows ignore the transform
+function paintCapsules(c, capsules, glow, k) {
+  for (const cap of capsules) {
+    c.save();
+    c.globalAlpha = cap.opacity;
+    c.shadowColor = cap.glow;
+    c.shadowBlur = 10 * glow * k;
+    roundRectPath(c, cap.x, cap.y, cap.w, cap.h, cap.radius);
+    c.fillStyle = cap.background;
+    c.fill();
+    c.strokeStyle = cap.border;
+    if (cap.double) {
+      // CSS double: two lines a third of the width each
+      const t = cap.borderWidth / 3;
+      c.lineWidth = t;
+      roundRectPath(c, cap.x + t / 2, cap.y + t / 2, cap.w - t, cap.h - t, cap.radius);
+      c.stroke();
+      roundRectPath(c, cap.x + t * 2.5, cap.y + t * 2.5, cap.w - t * 5, cap.h - t * 5, cap.radius);
+      c.stroke();
+    } else {
+      c.lineWidth = cap.borderWidth;
+      roundRectPath(c, cap.x + cap.borderWidth / 2, cap.y + cap.borderWidth / 2, cap.w - cap.borderWidth, cap.h - cap.borderWidth, cap.radius);
+      c.stroke();
+    }
+    roundRectPath(c, cap.x, cap.y, cap.w, cap.h, cap.radius);
+    c.clip(); // overflow: hidden
+    c.shadowBlur = 6 * glow * k;
+    c.fillStyle = cap.color;
+    c.textBaseline = 'middle';
+    for (const b of cap.blocks) {
+      c.font = `${b.size}px ${b.family}`;
+      if ('letterSpacing' in c) c.letterSpacing = `${b.spacing}px`;
+      c.globalAlpha = cap.opacity * b.opacity;
+      b.lines.forEach((line, i) => c.fillText(line, cap.x + b.x, cap.y + b.y + (i + 0.5) * b.lineHeight));
+    }
+    c.restore();
+  }
+}
+
+// Every glyph of every column redrawn as text, so it stays sharp at any scale
+function paintRain(c, rain, k) {
+  const h = rain.canvas.clientHeight;
+  const p = rain.palette;
+  let font = 0;
+  c.save();
+  c.textAlign = 'center';
+  c.textBaseline = 'middle';
+  c.shadowColor = p.glow;
+  c.shadowBlur = (8 + clamp(rain.config.glowIntensity, 0, 1) * 14) * k;
+  rain.eachGlyph(h, (x, y, gi, alpha, head, hue, size) => {
+    if (size !== font) c.font = `${(font = size) - 2}px ${rain.config.glyphFont}`; // depth layers
+    c.globalAlpha = alpha;
+    c.fillStyle = glyphColor(p, y, h, head, hue);
+    c.fillText(rain.characters[gi], x + size / 2, y + size / 2);
+  });
+  c.restore();
+}
+
+// The theme background over the canvas area (css px)
+function paintBackground(c, palette, w, h) {
+  const [top, bottom] = palette.background;
+  let fill = top;
+  if (top !== bottom) {
+    fill = c.createLinearGradient(0, 0, 0, h);
+    fill.addColorStop(0, top);
+    fill.addColorStop(1, bottom);
+  }
+  c.fillStyle = fill;
+  c.fillRect(0, 0, w, h);
+}
+
+// Paints the scene into a w x h context, scaled to cover it. The rain is the
+// live canvas (screenshot, recorder) or, with `rerender`, redrawn from the
+// simulation at the target scale (poster).
+function compositeScene(c, w, h, rerender = false) {
+  const cw = canvas.clientWidth, ch = canvas.clientHeight;
+  const k = Math.max(w / cw, h / ch);
+  c.save();
+  c.setTransform(k, 0, 0, k, (w - cw * k) / 2, (h - ch * k) / 2);
+  paintBackground(c, rain.palette, cw, ch); // the live canvas has no backdrop for its first frames
+  // a worker's canvas can't be read back here
+  if (rerender || rain.renderer.kind === 'worker') paintRain(c, rain, k);
+  else c.drawImage(canvas, 0, 0, cw, ch);
+  paintCapsules(c, describeCapsules(), clamp(CONFIG.glowIntensity, 0, 1), k);
+  c.restore();
+}
+
+const xmlEscape = text => String(text).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+
+// Same frame as SVG: glyphs and capsule lines are <text>, so any size prints
+// sharp. viewBox is the canvas in css px; `slice` covers w x h like the PNG.
+function posterSvg(w, h) {
+  const cw = canvas.clientWidth, ch = canvas.clientHeight;
+  const p = rain.palette;
+  const glow = clamp(CONFIG.glowIntensity, 0, 1);
+  const size = rain.glyphSize;
+  const n = v => Math.round(v * 100) / 100;
+  // blurred alpha flooded with the glow colour, under the source
+  const blur = (id, sd, color) => `<filter id="${id}" x="-50%" y="-50%" width="200%" height="200%"><feGaussianBlur in="SourceAlpha" stdDeviation="${n(sd)}" result="b"/><feFlood flood-color="${xmlEscape(color)}"/><feComposite in2="b" operator="in" result="g"/><feMerge><feMergeNode in="g"/><feMergeNode in="SourceGraphic"/></feMerge></filter>`;
+  const [bgTop, bgBottom] = p.background.map(xmlEscape);
+  const out = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${cw} ${ch}" preserveAspectRatio="xMidYMid slice">`,
+    // canvas shadowBlur is roughly twice the Gaussian sigma
+    `<defs>${blur('rainGlow', (8 + glow * 14) / 2, p.glow)}${blur('capsuleGlow', 5 * glow, p.glow)}`,
+    `<linearGradient id="background" x1="0" y1="0" x2="0" y2="1"><stop offset="0" stop-color="${bgTop}"/><stop offset="1" stop-color="${bgBottom}"/></linearGradient></defs>`,
+    `<rect width="${cw}" height="${ch}" fill="url(#background)"/>`,
+    `<g font-family="${xmlEscape(rain.config.glyphFont)}" font-size="${size - 2}" text-anchor="middle" dominant-baseline="central" filter="url(#rainGlow)">`,
+  ];
+  rain.eachGlyph(ch, (x, y, gi, alpha, head, hue, gs) => {
+    const fill = xmlEscape(glyphColor(p, y, ch, head, hue));
+    const font = gs === size ? '' : ` font-size="${gs - 2}"`; // depth layers
+    out.push(`<text x="${n(x + gs / 2)}" y="${n(y + gs / 2)}" fill="${fill}"${font} opacity="${n(alpha)}">${xmlEscape(rain.characters[gi])}</text>`);
+  });
+  out.push('</g>');
+  describeCapsules().forEach((cap, ci) => {
+    const box = `x="${n(cap.x)}" y="${n(cap.y)}" width="${n(cap.w)}" height="${n(cap.h)}" rx="${n(cap.radius)}"`;
+    out.push(`<clipPath id="capsule${ci}"><rect ${box}/></clipPath>`);
+    out.push(`<g opacity="${n(cap.opacity)}" filter="url(#capsuleGlow)">`);
+    out.push(`<rect ${box} fill="${xmlEscape(cap.background)}" stroke="${xmlEscape(cap.border)}" stroke-width="${n(cap.borderWidth)}"/>`);
+    out.push(`<g clip-path="url(#capsule${ci})" fill="${xmlEscape(cap.color)}" dominant-baseline="central" xml:space="preserve">`);
+    for (const b of cap.blocks) {
+      out.push(`<text font-family="${xmlEscape(b.family)}" font-size="${b.size}" letter-spacing="${b.spacing}" opacity="${n(b.opacity)}">`);
+      b.lines.forEach((line, i) => out.push(`<tspan x="${n(cap.x + b.x)}" y="${n(cap.y + b.y + (i + 0.5) * b.lineHeight)}">${xmlEscape(line)}</tspan>`));
+      out.push('</text>');
+    }
+    out.push('</g></g>');
+  });
+  out.push('</svg>');
+  return out.join('\n');
+}
+
+// 'WxH' -> PNG (re-rendered, not upscaled) or SVG download; `report` gets
+// progress and errors for the panel
+function exportPoster(size, format, report) {
+  const m = /^\s*(\d+)\s*[x×]\s*(\d+)\s*$/.exec(size);
+  if (!m) return report('size must look like 7680x4320');
+  const [w, h] = [parseInt(m[1], 10), parseInt(m[2], 10)];
+  if (!w || !h) return report('size must be at least 1x1');
+  const name = `profile_stream_${w}x${h}_${Date.now()}`;
+  if (format === 'svg') {
+    downloadText(posterSvg(w, h), `${name}.svg`, 'image/svg+xml');
+    return report(`SVG ${w}×${h} saved`);
+  }
+  if (w > POSTER_MAX_SIDE || h > POSTER_MAX_SIDE || w * h > POSTER_MAX_AREA) {
+    return report(`PNG limit is ${POSTER_MAX_SIDE}px a side; use SVG for larger prints`);
+  }
+  const out = document.createElement('canvas');
+  out.width = w; out.height = h;
+  compositeScene(out.getContext('2d'), w, h, true);
+  report(`encoding ${w}×${h}…`);
+  out.toBlob(blob => {
+    if (!blob) return report('the browser could not encode a PNG this large');
+    const url = URL.createObjectURL(blob);
+    download(url, `${name}.png`);
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+    report(`PNG ${w}×${h} saved (${(blob.size / 1048576).toFixed(1)} MB)`);
+  }, 'image/png');
+}
+
+function download(href, name) {
+  const a = document.createElement('a');
+  a.href = href; a.download = name; a.click();
+}
+
+function downloadText(text, name, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  download(url, name);
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+function screenshot() {
+  // Compose canvas + DOM capsules onto an offscreen canvas at backing-store
+  // (devicePixelRatio) resolution
+  const [w, h] = backingSize(canvas);
+  const out = document.createElement('canvas');
+  out.width = w; out.height = h;
+  compositeScene(out.getContext('2d'), w, h);
+  download(out.toDataURL('image/png'), `profile_stream_${Date.now()}.png`);
+}
+
+// ---------------------------- Recorder ------------------------------------
+// Records rain + capsules to WebM. Capsules are DOM nodes, so every frame is
+// composited onto a capture canvas that MediaRecorder reads via captureStream.
+class SceneRecorder {
+  constructor() {
+    this.recorder = null;
+    this.canvas = null;
+    this.ctx = null;
+    this.chunks = [];
+    this.bytes = 0;
+    this.startedAt = 0;
+    this.lastFrame = 0;
+    this.error = '';
+  }
+
+  static mimeType() {
+    if (!window.MediaRecorder) return '';
+    return ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+      .find(t => MediaRecorder.isTypeSupported(t)) || '';
+  }
+
+  get active() { return this.recorder !== null; }
+
+  get elapsed() { return this.active ? (nowMs() - this.startedAt) / 1000 : 0; }
+
+  // size: 'native' (backing-store resolution) or 'WxH'
+  start({ size, fps, maxSeconds }) {
+    const mimeType = SceneRecorder.mimeType();
+    if (!mimeType || this.active) return;
+    const [w, h] = size === 'native' ? backingSize(canvas) : size.split('x').map(Number);
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = w;
+    this.canvas.height = h;
+    this.ctx = this.canvas.getContext('2d');
+    this.fps = fps;
+    this.maxSeconds = maxSeconds;
+    this.chunks = [];
+    this.bytes = 0;
+    this.error = '';
+    compositeScene(this.ctx, w, h);
+
+    const rec = new MediaRecorder(this.canvas.captureStream(fps), {
+      mimeType,
+      videoBitsPerSecond: Math.round(w * h * fps * 0.13),
+    });
+    rec.ondataavailable = e => {
+      if (e.data.size === 0) return;
+      this.chunks.push(e.data);
+      this.bytes += e.data.size;
+    };
+    rec.onerror = e => { this.error = (e.error && e.error.message) || 'recorder error'; };
+    rec.onstop = () => {
+      const blob = new Blob(this.chunks, { type: 'video/webm' });
+      const url = URL.createObjectURL(blob);
+      download(url, `profile_stream_${Date.now()}.webm`);
+      setTimeout(() => URL.revokeObjectURL(url), 10000);
+      this.chunks = [];
+    };
+    rec.start(1000); // emit a chunk per second so the size readout moves
+    this.recorder = rec;
+    this.startedAt = this.lastFrame = nowMs();
+  }
+
+  // Called from the ticker after the rain draws; throttled to the target fps
+  frame() {
+    if (!this.active) return;
+    if (this.elapsed >= this.maxSeconds) return this.stop();
+    const t = nowMs();
+    if (t - this.lastFrame < 1000 / this.fps - 1) return;
+    this.lastFrame = t;
+    compositeScene(this.ctx, this.canvas.width, this.canvas.height);
+  }
+
+  stop() {
+    if (!this.active) return;
+    this.recorder.stop();
+    this.recorder = null;
+    this.canvas = this.ctx = null;
+  }
+}
+
+// ---------------------------- Session Log ---------------------------------
+// Logs every capsule shown: ms since the log started, wall time, render mode,
+// slot, typing speed, hold and the record as displayed (redacted while
+// redaction is on). Exports NDJSON (exact) or CSV
+// (record flattened to `record.<path>` columns). SessionReplaySource re-drives
+// the capsules from either with the original timing, modes and positions;
+// CSV values are read back with number/boolean inference.
+const SESSION_LIMIT = 50000;
+const SESSION_COLUMNS = ['t', 'at', 'mode', 'x', 'y', 'w', 'h', 'secondsPerChar', 'holdMs'];
+
+class SessionLog {
+  constructor() {
+    this.entries = [];
+    this.active = false;
+    this.startedAt = 0;
+    this.dropped = 0;
+  }
+
+  start() {
+    this.entries = [];
+    this.dropped = 0;
+    this.startedAt = nowMs();
+    this.active = true;
+  }
+
+  stop() { this.active = false; }
+
+  add({ mode, rect, plan }) {
+    if (!this.active) return;
+    if (this.entries.length >= SESSION_LIMIT) {
+      this.dropped++;
+      return;
+    }
+    this.entries.push({
+      t: Math.round(nowMs() - this.startedAt), at: new Date().toISOString(), mode,
+      x: Math.round(rect.x), y: Math.round(rect.y), w: Math.round(rect.w), h: Math.round(rect.h),
+      secondsPerChar: plan.secondsPerChar, holdMs: plan.holdMs, record: plan.shown,
+    });
+  }
+
+  toNdjson() { return this.entries.map(e => JSON.stringify(e)).join('\n') + '\n'; }
+
+  toCsv() {
+    const flat = this.entries.map(e => new Map(flattenRecord(e.record)));
+    const paths = [];
+    const seen = new Set();
+    for (const row of flat) for (const path of row.keys()) if (!seen.has(path)) seen.add(path) && paths.push(path);
+    const header = [...SESSION_COLUMNS, ...paths.map(p => `record.${p}`)];
+    const rows = this.entries.map((e, i) => [...SESSION_COLUMNS.map(c => e[c]), ...paths.map(p => flat[i].get(p))].map(csvCell).join(','));
+    return [header.join(','), ...rows].join('\n') + '\n';
+  }
+
+  get status() {
+    if (!this.entries.length) return this.active ? 'logging…' : '';
+    const last = this.entries[this.entries.length - 1].t / 1000;
+    const time = `${String(Math.floor(last / 60)).padStart(2, '0')}:${String(Math.floor(last % 60)).padStart(2, '0')}`;
+    return `${this.active ? 'LOG ' : ''}${this.entries.length} shown · ${time}${this.dropped ? ` · ${this.dropped} over limit` : ''}`;
+  }
+}
+
+// RFC 4180: quoted cells, "" escapes, CRLF or LF
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') cell += text[++i];
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+function csvValue(s) {
+  if (s === '') return undefined;
+  if (s === 'true' || s === 'false') return s === 'true';
+  if (s === 'null') return null;
+  return /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i.test(s) ? Number(s) : s;
+}
+
+// NDJSON/JSON or CSV (detected by a header starting with `t,`) -> entries
+// sorted by t; throws when nothing usable is found
+function parseSessionLog(text) {
+  let entries;
+  if (/^\s*"?t"?,/.test(text)) {
+    const [header, ...rows] = parseCsv(text);
+    entries = rows.map(cells => {
+      const entry = { record: {} };
+      header.forEach((col, i) => {
+        const v = csvValue(cells[i] === undefined ? '' : cells[i]);
+        if (v === undefined) return;
+        if (!col.startsWith('record.')) {
+          entry[col] = v;
+          return;
+        }
+        const keys = col.slice(7).split('.');
+        let target = entry.record;
+        keys.slice(0, -1).forEach(k => { target = isRecord(target[k]) ? target[k] : (target[k] = {}); });
+        target[keys[keys.length - 1]] = v;
+      });
+      return entry;
+    });
+  } else {
+    const { records, errors } = parseRecords(text);
+    if (errors.length && !records.length) throw new Error(errors[0]);
+    entries = records;
+  }
+  entries = entries.filter(e => Number.isFinite(e.t) && isRecord(e.record));
+  if (!entries.length) throw new Error('no session entries (need t and record)');
+  return entries.sort((a, b) => a.t - b.t);
+}
+
+// Source that replays a session log. Spawns straight into the manager (the
+// feed can't carry mode and position) and ignores maxCapsules, so the screen
+// matches the recording. Seeking clears the capsules and re-spawns the ones
+// that were still up at that moment (lifetime estimated from typing + hold).
+class SessionReplaySource {
+  constructor(name, entries) {
+    this.name = name;
+    this.entries = entries;
+    this.duration = entries[entries.length - 1].t;
+    this.time = 0;
+    this.index = 0;
+    this.speed = 1;
+    this.playing = true;
+    this.manager = null;
+  }
+
+  start(feed, manager) { this.manager = manager; }
+
+  stop() { this.manager = null; }
+
+  tick(dt) {
+    if (!this.manager || !this.playing) return;
+    this.time = Math.min(this.duration, this.time + dt * 1000 * this.speed);
+    while (this.index < this.entries.length && this.entries[this.index].t <= this.time) this.show(this.entries[this.index++]);
+    if (this.index >= this.entries.length) this.playing = false;
+  }
+
+  show(entry) {
+    const plan = this.manager.planSpawn(entry.record);
+    if (RenderModes.get(entry.mode)) plan.mode = entry.mode;
+    if (Number.isFinite(entry.holdMs)) plan.holdMs = entry.holdMs;
+    if (Number.isFinite(entry.secondsPerChar)) plan.secondsPerChar = entry.secondsPerChar;
+    if (Number.isFinite(entry.x) && Number.isFinite(entry.y)) plan.at = { x: entry.x, y: entry.y };
+    this.manager.spawn(plan);
+  }
+
+  seek(ms) {
+    this.time = clamp(ms, 0, this.duration);
+    this.index = this.entries.findIndex(e => e.t > this.time);
+    if (this.index < 0) this.index = this.entries.length;
+    if (!this.manager) return;
+    this.manager.clear();
+    for (const e of this.entries.slice(0, this.index)) {
+      const typing = JSON.stringify(e.record).length * (e.secondsPerChar || 0.06) * 1000;
+      if (e.t + typing + (e.holdMs || 3000) > this.time) this.show(e);
+    }
+    this.playing = this.index < this.entries.length && this.playing;
+  }
+
+  get status() {
+    const fmt = ms => `${String(Math.floor(ms / 60000)).padStart(2, '0')}:${String(Math.floor(ms / 1000) % 60).padStart(2, '0')}`;
+    const state = this.playing ? `${this.speed}×` : this.index >= this.entries.length ? 'ended' : 'paused';
+    return `replay ${this.name} ${fmt(this.time)}/${fmt(this.duration)} · ${state}`;
+  }
+}
+
+// ---------------------------- Benchmark -----------------------------------
+// Runs each available renderer for a fixed number of frames at a fixed column
+// count from the same seed, then reports draw time (CPU + GPU via sync()) and
+// frame interval. Start from the panel or with `?bench=<columns>`.
+class RendererBench {
+  constructor() {
+    this.current = null;
+    this.queue = [];
+    this.results = [];
+    this.restore = null;
+  }
+
+  get running() { return this.current !== null; }
+
+  start(columns = 400, frames = 240) {
+    if (this.running) return;
+    this.restore = { renderer: CONFIG.renderer, seed: RNG.seed };
+    this.columns = columns;
+    this.frames = frames;
+    this.results = [];
+    this.queue = ['webgl', '2d'];
+    this.next();
+  }
+
+  next() {
+    const kind = this.queue.shift();
+    if (!kind) return this.finish();
+    if (setRenderer(kind).kind !== kind) return this.next(); // e.g. no WebGL here
+    seedRng('bench');
+    rain.fixedColumns = this.columns;
+    rain.resetColumns();
+    this.current = { kind, warmup: 30, draw: [], frame: [] };
+  }
+
+  frame(drawMs, frameMs) {
+    const cur = this.current;
+    if (cur.warmup > 0) { cur.warmup--; return; }
+    cur.draw.push(drawMs);
+    cur.frame.push(frameMs);
+    if (cur.draw.length < this.frames) return;
+    const stats = arr => {
+      const sorted = [...arr].sort((a, b) => a - b);
+      const mean = arr.reduce((s, v) => s + v, 0) / arr.length;
+      return { mean: +mean.toFixed(2), p95: +sorted[Math.floor(sorted.length * 0.95)].toFixed(2) };
+    };
+    const draw = stats(cur.draw);
+    const frame = stats(cur.frame);
+    this.results.push({ renderer: cur.kind, columns: this.columns, draw_ms: draw.mean, draw_p95: draw.p95, frame_ms: frame.mean, frame_p95: frame.p95 });
+    this.current = null;
+    this.next();
+  }
+
+  finish() {
+    rain.fixedColumns = 0;
+    setRenderer(this.restore.renderer);
+    reseed(this.restore.seed);
+  }
+
+  get status() {
+    if (this.current) return `bench ${this.current.kind} ${this.current.draw.length}/${this.frames}`;
+    return this.results.map(r => `${r.renderer} ${r.columns}c: ${r.draw_ms}ms draw, ${r.frame_ms}ms frame`).join(' | ');
+  }
+}
+
+// ---------------------------- Governor ------------------------------------
+// Holds `targetFps` (0 = off) by scaling `quality` between GOVERNOR_MIN and 1;
+// the owner multiplies rain density, glow and the capsule rate by it. Frame
+// rate is measured over GOVERNOR_WINDOW_MS. Below 85% of the target quality
+// drops a big step, above 97% it climbs a small one, and after every change
+// it waits GOVERNOR_COOLDOWN_MS so the next window measures the new level.
+const GOVERNOR_MIN = 0.3;
+const GOVERNOR_WINDOW_MS = 2000;
+const GOVERNOR_COOLDOWN_MS = 3000;
+
+class PerformanceGovernor {
+  constructor(config = CONFIG) {
+    this.config = config;
+    this.quality = 1;
+    this.fps = 0; // last window's measurement
+    this.reset();
+  }
+
+  // Starts a fresh window after a gap in frames (hidden tab, stop/start)
+  reset() {
+    this.windowMs = 0;
+    this.frames = 0;
+    this.cooldownMs = GOVERNOR_COOLDOWN_MS;
+  }
+
+  // Once per frame with the real (unclamped) frame time; returns quality
+  frame(frameMs) {
+    const target = this.config.targetFps;
+    if (!target) return (this.quality = 1);
+    this.windowMs += frameMs;
+    this.frames++;
+    this.cooldownMs -= frameMs;
+    if (this.windowMs < GOVERNOR_WINDOW_MS) return this.quality;
+    this.fps = this.frames * 1000 / this.windowMs;
+    this.windowMs = 0;
+    this.frames = 0;
+    if (this.cooldownMs > 0) return this.quality;
+    let q = this.quality;
+    if (this.fps < target * 0.85) q = Math.max(GOVERNOR_MIN, q - 0.15);
+    else if (this.fps > target * 0.97) q = Math.min(1, q + 0.05);
+    if (q !== this.quality) {
+      this.quality = q;
+      this.cooldownMs = GOVERNOR_COOLDOWN_MS;
+    }
+    return this.quality;
+  }
+
+  get status() {
+    if (!this.config.targetFps) return '';
+    return `governor ${Math.round(this.fps)}/${this.config.targetFps} fps, quality ${Math.round(this.quality * 100)}%`;
+  }
+}
+
+// ---------------------------- Seed ----------------------------------------
+// Restarts the rain and capsule stream from `seed` and mirrors it into the
+// seed field and `?seed=` so the current session can be shared as a link.
+function reseed(seed) {
+  seedRng(seed);
+  CONFIG.seed = RNG.seed;
+  rain.resetColumns();
+  capsules.clear();
+  if (capsules.source.reset) capsules.source.reset(); // e.g. a new simulated population
+  document.getElementById('seed').value = CONFIG.seed;
+  try {
+    const url = new URL(location.href);
+    url.searchParams.set('seed', CONFIG.seed);
+    history.replaceState(null, '', url);
+  } catch {}
+}
+
+// ---------------------------- <matrix-stream> -----------------------------
+// Embeddable instance with its own canvas, capsule layer, config, source and
+// RAF loop in a shadow root, so several can share a page (RNG streams and the
+// schema stay global):
+//   <matrix-stream density="0.6" theme="cyan" data-src="wss://host/feed">
+// Attributes map onto CONFIG keys (MATRIX_STREAM_ATTRS). data-src: absent =
+// synthetic, "sim" = simulated population, "none" = pushRecord() only,
+// ws(s):// = WebSocket, any other URL = EventSource.
+// API: start(), stop(), pushRecord(record | json text), setConfig(partial).
+// Events (bubble out of the shadow root): capsule-spawn { record, mode, rect }
+// and capsule-typed { record }; `record` is as displayed, i.e. redacted.
+const MATRIX_STREAM_ATTRS = {
+  density: ['densityScale', Number],
+  speed: ['speedScale', Number],
+  depth: ['depthLayers', Number],
+  wind: ['wind', Number],
+  pointer: ['pointer', String],
+  'capsule-rate': ['capsuleRateScale', Number],
+  glow: ['glowIntensity', Number],
+  'max-capsules': ['maxCapsules', Number],
+  theme: ['theme', String],
+  glyphs: ['glyphPack', String],
+  layout: ['layout', String],
+  motion: ['motion', String],
+  'show-code': ['showCode', v => v !== 'false'],
+  renderer: ['renderer', String],
+  'target-fps': ['targetFps', Number],
+  redaction: ['redaction', String],
+};
+
+// Host and layer rules; the capsules themselves use CAPSULE_CSS
+const MATRIX_STREAM_CSS = `
+  :host { display: block; position: relative; height: 300px; overflow: hidden; background: #000; }
+  :host([hidden]) { display: none; }
+  .wrap { position: absolute; inset: 0; background: var(--bg); color: var(--active); --alert: #ff3b3b;
+    font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, "Liberation Mono", monospace; font-size: 13px; }
+  canvas { position: absolute; inset: 0; display: block; }
+  .capsules { position: absolute; inset: 0; pointer-events: none; }
+  ${CAPSULE_CSS}
+  .capsule { max-width: min(44ch, 80%); }
+  .badge { position: absolute; right: 6px; bottom: 6px; padding: 2px 6px; font-size: 10px; letter-spacing: 2px;
+    border: 1px solid currentColor; border-radius: 4px; background: rgba(0,0,0,0.6); }
+  .badge[hidden] { display: none; }
+`;
+
+class MatrixStreamElement extends HTMLElement {
+  static get observedAttributes() { return [...Object.keys(MATRIX_STREAM_ATTRS), 'data-src', 'paused']; }
+
+  constructor() {
+    super();
+    this.config = { ...JSON.parse(JSON.stringify(CONFIG_DEFAULTS)), renderModes: RenderModes.defaults(), layoutReserved: '' };
+    this.rain = null; // built on first connect
+    this.capsules = null;
+    this.running = false;
+    this.frame = 0;
+    this.last = 0;
+    this.resizer = null;
+    this.governor = new PerformanceGovernor(this.config);
+    const root = this.attachShadow({ mode: 'open' });
+    root.innerHTML = `<style>${MATRIX_STREAM_CSS}</style><div class="wrap"><canvas aria-hidden="true"></canvas><div class="capsules" aria-hidden="true"></div><div class="badge" hidden></div></div>`;
+    this.wrap = root.querySelector('.wrap');
+    this.badge = root.querySelector('.badge');
+    this.canvas = root.querySelector('canvas');
+    this.loop = this.loop.bind(this);
+    this.onVisibility = this.onVisibility.bind(this);
+  }
+
+  // `paused` attribute: connect without starting the loop; toggling it
+  // later stops and starts a connected instance
+  connectedCallback() {
+    if (!this.rain) {
+      this.build();
+    } else { // re-inserted: reconnect
+      this.capsules.setSource(this.createSource());
+      this.capsules.layout.observe();
+    }
+    if (window.ResizeObserver) {
+      this.resizer = new ResizeObserver(() => this.resize());
+      this.resizer.observe(this);
+    }
+    if (!this.hasAttribute('paused')) this.start();
+    document.addEventListener('visibilitychange', this.onVisibility);
+  }
+
+  disconnectedCallback() {
+    document.removeEventListener('visibilitychange', this.onVisibility);
+    if (this.resizer) this.resizer.disconnect();
+    this.resizer = null;
+    this.capsules.layout.unobserve();
+    this.stop();
+    this.capsules.source.stop();
+  }
+
+  attributeChangedCallback(name, old, value) {
+    if (name === 'data-src') {
+      if (this.capsules) this.capsules.setSource(this.createSource());
+      return;
+    }
+    if (name === 'paused') {
+      if (!this.isConnected) return;
+      if (value === null) this.start();
+      else this.stop();
+      return;
+    }
+    const [key, parse] = MATRIX_STREAM_ATTRS[name];
+    if (value === null) this.setConfig({ [key]: CONFIG_DEFAULTS[key] });
+    else this.setConfig({ [key]: parse(value) });
+  }
+
+  // Attributes are already in this.config (attributeChangedCallback runs
+  // for each one before the first connect)
+  build() {
+    this.applyStyle();
+    this.rain = new MatrixRain(this.canvas, this.config);
+    this.setRenderer(this.config.renderer);
+    this.capsules = new CapsuleManager(this.wrap.querySelector('.capsules'), this.createSource(), this.config);
+    this.capsules.layout.rain = this.rain;
+    trackPointer(this, this.rain);
+    this.capsules.onSpawn = ({ plan, mode, rect }) => this.emit('capsule-spawn', { record: plan.shown, mode, rect });
+    this.capsules.onTyped = record => this.emit('capsule-typed', { record });
+  }
+
+  createSource() {
+    const src = this.getAttribute('data-src');
+    if (!src) return new SyntheticSource();
+    if (src === 'sim') return new SimulationSource(this.config);
+    if (src === 'none') return new ManualSource();
+    return /^wss?:/i.test(src) ? new SocketSource(src) : new EventStreamSource(src);
+  }
+
+  // Theme variables and glow live on .wrap; `theme` names a built-in or a
+  // theme saved from the page's editor
+  applyStyle() {
+    const theme = Themes.get(this.config.theme);
+    applyThemeVars(this.wrap, theme);
+    if (this.rain) this.rain.setTheme(theme);
+    this.wrap.style.setProperty('--glow', String(this.config.glowIntensity * (this.rain ? this.rain.quality : 1)));
+    this.wrap.classList.toggle('reduced-motion', motionLevel(this.config) !== 'full');
+    this.badge.textContent = Redaction.label(this.config);
+    this.badge.hidden = !this.badge.textContent;
+  }
+
+  setRenderer(kind) {
+    if (this.rain.renderer && this.rain.renderer.dispose) this.rain.renderer.dispose();
+    const fresh = this.canvas.cloneNode(false);
+    this.canvas.replaceWith(fresh);
+    [this.rain.renderer, this.canvas] = createRenderer(kind, fresh);
+    this.canvas.addEventListener('rendererfailed', () => this.setRenderer('auto'));
+    this.rain.canvas = this.canvas;
+    this.resize();
+  }
+
+  resize() {
+    if (!this.rain) return;
+    const dpr = fitCanvas(this.canvas, this.clientWidth, this.clientHeight);
+    this.rain.renderer.resize(dpr, this.clientWidth, this.clientHeight); // update() picks up the new column count
+  }
+
+  start() {
+    if (this.running || !this.rain) return;
+    this.running = true;
+    this.capsules.setPaused(false);
+    this.last = nowMs();
+    this.governor.reset();
+    this.frame = requestAnimationFrame(this.loop);
+  }
+
+  stop() {
+    if (!this.running) return;
+    this.running = false;
+    cancelAnimationFrame(this.frame);
+    this.capsules.setPaused(true);
+  }
+
+  // Hidden tab: the loop stops, `running` stays, so it resumes on return
+  onVisibility() {
+    if (!this.running) return;
+    cancelAnimationFrame(this.frame);
+    this.capsules.setPaused(document.hidden);
+    if (document.hidden) return;
+    this.last = nowMs();
+    this.governor.reset();
+    this.frame = requestAnimationFrame(this.loop);
+  }
+
+  loop() {
+    const t = nowMs();
+    const frameMs = t - this.last;
+    const dt = Math.min(0.05, frameMs / 1000);
+    this.last = t;
+    const q = this.governor.frame(frameMs);
+    if (q !== this.rain.quality) {
+      this.rain.quality = this.capsules.quality = q;
+      this.applyStyle();
+    }
+    this.rain.update(dt);
+    this.capsules.tick(dt);
+    this.rain.draw();
+    this.frame = requestAnimationFrame(this.loop);
+  }
+
+  pushRecord(record) {
+    if (this.capsules) this.capsules.feed.push(record);
+  }
+
+  // Shallow merge into this instance's config (renderModes merge per mode)
+  setConfig(partial) {
+    const { renderModes, ...rest } = partial;
+    const before = { ...this.config };
+    Object.assign(this.config, rest);
+    if (renderModes) {
+      for (const [name, mode] of Object.entries(renderModes)) this.config.renderModes[name] = { ...this.config.renderModes[name], ...mode };
+    }
+    if (!this.rain) return;
+    const changed = key => key in rest && rest[key] !== before[key];
+    this.applyStyle();
+    if (['glyphPack', 'glyphCustom', 'glyphFont', 'glyphSize'].some(changed)) this.rain.rebuildGlyphs();
+    if (changed('renderer')) this.setRenderer(this.config.renderer);
+    if (changed('layout')) this.capsules.layout.reflow(true);
+    if (['redaction', 'redactionRules'].some(changed)) this.capsules.redact();
+  }
+
+  emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+  }
+}
+
+if (window.customElements && !customElements.get('matrix-stream')) customElements.define('matrix-stream', MatrixStreamElement);
+
+// ---------------------------- Ticker --------------------------------------
+// The page app; stays null when the page only embeds <matrix-stream>.
+const fpsEl = document.getElementById('fps');
+let last = nowMs();
+let fpsMs = 0, fpsCount = 0;
+let frameId = 0;
+const rain = canvas ? new MatrixRain(canvas) : null;
+const capsules = canvas ? new CapsuleManager(document.getElementById('capsules')) : null;
+const recorder = new SceneRecorder();
+const session = new SessionLog();
+const bench = new RendererBench();
+const governor = new PerformanceGovernor();
+
+let paused = false;
+
+// Governor output: rain density and glow, capsule rate and capsule glow
+function setQuality(q) {
+  rain.quality = capsules.quality = q;
+  applyGlow();
+}
+
+function applyGlow() {
+  document.documentElement.style.setProperty('--glow', String(CONFIG.glowIntensity * rain.quality));
+}
+
+function togglePause() {
+  paused = !paused;
+  capsules.setPaused(paused);
+  const btn = document.getElementById('btnPause');
+  btn.textContent = paused ? 'Resume' : 'Pause';
+  btn.setAttribute('aria-pressed', String(paused));
+}
+
+function tick() {
+  const t = nowMs();
+  const frameMs = t - last;
+  const dt = Math.min(0.05, frameMs / 1000);
+  last = t;
+
+  if (!paused) {
+    Sequencer.tick(dt);
+    rain.update(dt);
+    capsules.tick(dt);
+  }
+  const t0 = nowMs();
+  rain.draw();
+  if (bench.running) {
+    rain.renderer.sync(); // include GPU time in the sample
+    bench.frame(nowMs() - t0, frameMs);
+  }
+  recorder.frame();
+  // the benchmark needs the configured load
+  if (!bench.running) {
+    const q = governor.frame(frameMs);
+    if (q !== rain.quality) setQuality(q);
+  }
+
+  // FPS meter, from real frame times (dt is clamped)
+  fpsMs += frameMs; fpsCount++;
+  if (fpsMs >= 500) {
+    const fps = Math.round(fpsCount * 1000 / fpsMs);
+    if (CONFIG.showFps) fpsEl.textContent = `${fps} fps`;
+    UI.refreshStatus();
+    Analytics.render();
+    Sequencer.render();
+    fpsMs = 0; fpsCount = 0;
+  }
+
+  frameId = requestAnimationFrame(tick);
+}
+
+// Hidden tab: no frames at all (rather than throttled ones, each clamped to
+// 50ms) and frozen capsule holds; the clocks restart on return
+function onVisibility() {
+  if (document.hidden) {
+    cancelAnimationFrame(frameId);
+    capsules.setPaused(true);
+    return;
+  }
+  capsules.setPaused(paused);
+  last = nowMs();
+  fpsMs = 0; fpsCount = 0;
+  governor.reset();
+  cancelAnimationFrame(frameId); // one loop, even if a frame is still queued
+  frameId = requestAnimationFrame(tick);
+}
+
+// ---------------------------- Bootstrap -----------------------------------
+if (canvas) {
+  const params = new URLSearchParams(location.search);
+  window.addEventListener('resize', resizeCanvas);
+  capsules.layout.rain = rain;
+  trackPointer(document.documentElement, rain);
+  applyTheme(Themes.get(CONFIG.theme));
+  initCanvas();
+  UI.bind();
+  Inspector.bind();
+  A11y.bind();
+  Analytics.bind();
+  Settings.bind();
+  Settings.restore();
+  Sequencer.bind();
+  reseed(params.get('seed') || randomSeed());
+  if (params.has('bench')) bench.start(parseInt(params.get('bench'), 10) || CONFIG.benchColumns);
+  if (params.get('msg')) UI.reveal(params.get('msg'));
+  if (params.has('sequence')) Sequencer.autoplay(params.get('sequence'));
+  document.addEventListener('visibilitychange', onVisibility);
+  frameId = requestAnimationFrame(tick);
+}
 
 
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * Matrix-style Profile Stream - tools/stream-server.js
+ *
+ * Local stand-in for a real event bus. Pushes JSON records to the app over
+ * both transports it understands, with no dependencies:
+ * - WebSocket:   ws://localhost:8787
+ * - EventSource: http://localhost:8787/events
+ *
+ * Usage
+ *   node tools/stream-server.js [--port 8787] [--rate 3] [--bad 0.05] [--file records.ndjson]
+ *
+ * - --rate: records per second (per connection).
+ * - --bad:  fraction of messages sent deliberately malformed, to exercise the
+ *           app's error reporting.
+ * - --file: replay records from an NDJSON/JSON file instead of generating them.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+
+// ---------------------------- Options -------------------------------------
+function parseArgs(argv) {
+  const opts = { port: 8787, rate: 3, bad: 0, file: '' };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    if (!(key in opts)) throw new Error(`unknown option ${argv[i]}`);
+    opts[key] = typeof opts[key] === 'number' ? Number(argv[i + 1]) : argv[i + 1];
+  }
+  return opts;
+}
+
+const opts = parseArgs(process.argv.slice(2));
+
+// ---------------------------- Records -------------------------------------
+const choice = arr => arr[Math.floor(Math.random() * arr.length)];
+
+function loadFile(path) {
+  const text = fs.readFileSync(path, 'utf8').trim();
+  try {
+    const v = JSON.parse(text);
+    return Array.isArray(v) ? v : [v];
+  } catch {
+    return text.split(/\r?\n/).filter(Boolean).map(line => JSON.parse(line));
+  }
+}
+
+const fileRecords = opts.file ? loadFile(opts.file) : null;
+let fileIndex = 0;
+let seq = 0;
+
+function nextRecord() {
+  if (fileRecords) {
+    const r = fileRecords[fileIndex];
+    fileIndex = (fileIndex + 1) % fileRecords.length;
+    return r;
+  }
+  seq++;
+  return {
+    id: `srv-${seq.toString(36).padStart(4, '0')}`,
+    name: `${choice(['Ada', 'Grace', 'Alan', 'Linus', 'Ken'])} ${choice(['Stone', 'Vale', 'Reyes', 'Okafor'])}`,
+    age: 18 + Math.floor(Math.random() * 50),
+    job_title: choice(['Engineer', 'Analyst', 'Operator', 'Courier']),
+    industry: choice(['Tech', 'Finance', 'Energy', 'Retail']),
+    income_usd: 30000 + Math.round(Math.random() * 150) * 1000,
+    emotional_state: choice(['focused', 'stressed', 'calm', 'burnout']),
+    risk_score: Math.floor(Math.random() * 101),
+    last_active: new Date().toISOString(),
+  };
+}
+
+function nextMessage() {
+  if (Math.random() < opts.bad) return choice(['{"id": "broken', '[1, 2, 3]', 'not json at all']);
+  return JSON.stringify(nextRecord());
+}
+
+// ---------------------------- Transports ----------------------------------
+// Unmasked server->client text frame (RFC 6455 section 5.2).
+function wsFrame(text) {
+  const payload = Buffer.from(text);
+  const len = payload.length;
+  let head;
+  if (len < 126) {
+    head = Buffer.from([0x81, len]);
+  } else if (len < 65536) {
+    head = Buffer.alloc(4);
+    head[0] = 0x81; head[1] = 126; head.writeUInt16BE(len, 2);
+  } else {
+    head = Buffer.alloc(10);
+    head[0] = 0x81; head[1] = 127; head.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([head, payload]);
+}
+
+function every(ms, fn, onStop) {
+  const timer = setInterval(fn, ms);
+  onStop(() => clearInterval(timer));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.url !== '/events') {
+    res.writeHead(404, { 'Access-Control-Allow-Origin': '*' });
+    res.end('try /events or a WebSocket upgrade\n');
+    return;
+  }
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'Access-Control-Allow-Origin': '*',
+  });
+  console.log('sse client connected');
+  every(1000 / opts.rate, () => res.write(`data: ${nextMessage()}\n\n`), stop => req.on('close', stop));
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (!key) return socket.destroy();
+  const accept = crypto.createHash('sha1').update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11').digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', '',
+  ].join('\r\n'));
+  console.log('ws client connected');
+  // Client frames are ignored except for close (opcode 0x8)
+  socket.on('data', buf => { if ((buf[0] & 0x0f) === 0x8) socket.end(); });
+  socket.on('error', () => socket.destroy());
+  every(1000 / opts.rate, () => socket.write(wsFrame(nextMessage())), stop => socket.on('close', stop));
+});
+
+server.listen(opts.port, () => {
+  console.log(`stream-server: ws://localhost:${opts.port}  http://localhost:${opts.port}/events  (${opts.rate}/s)`);
+});